@@ -0,0 +1,291 @@
+import { getTilesForBounds, globalPixelToLatLng, latLngToGlobalPixel } from './tiles.js';
+
+// A frame is the window of the map (in global pixels at the capture zoom) that
+// becomes the output image, and how it is scaled and padded into it:
+//   image pixel = (global pixel - origin) * scale + pad
+// Per project, chips are the plain tile grid ('native'), a fixed square centred on
+// the box or scene ('crop'), the tile grid scaled and padded to a fixed square
+// ('letterbox'), fixed squares where larger areas are split into several ('tile'),
+// or the bounds plus a margin of context at native resolution ('tight').
+
+const CHIP_MODES = ['native', 'crop', 'letterbox', 'tile', 'tight'];
+const MARGIN_UNITS = ['px', '%'];
+const DEFAULT_CHIP_SETTINGS = { mode: 'native', size: 640, margin: 32, marginUnit: 'px' };
+
+// Per-project caps on one capture: tiles fetched and source pixels per side. Larger
+// areas are rejected, or split into chips when the request asks for it.
+const DEFAULT_CAPTURE_LIMITS = { maxTiles: 64, maxPixels: 8192 };
+const MAX_SPLIT_CHIPS = 100;
+// Deepest zoom a capture is rendered at, the same bound as a tile source's max zoom
+export const MAX_ZOOM = 24;
+
+export function chipSettingsFor(project) {
+    return { ...DEFAULT_CHIP_SETTINGS, ...project.chipSettings };
+}
+
+export function parseChipSettings(settings) {
+    const { mode, size, margin, marginUnit } = { ...DEFAULT_CHIP_SETTINGS, ...settings };
+    if (!CHIP_MODES.includes(mode)) {
+        return { error: `Chip mode must be one of: ${CHIP_MODES.join(', ')}` };
+    }
+    if (!Number.isInteger(Number(size)) || size < 64 || size > 4096) {
+        return { error: 'Chip size must be an integer between 64 and 4096' };
+    }
+    if (!MARGIN_UNITS.includes(marginUnit)) {
+        return { error: `Margin unit must be one of: ${MARGIN_UNITS.join(', ')}` };
+    }
+    const maxMargin = marginUnit === '%' ? 500 : 4096;
+    if (!Number.isFinite(Number(margin)) || margin < 0 || margin > maxMargin) {
+        return { error: `Margin must be between 0 and ${maxMargin}${marginUnit}` };
+    }
+    return { settings: { mode, size: Number(size), margin: Number(margin), marginUnit } };
+}
+
+export function captureLimitsFor(project) {
+    return { ...DEFAULT_CAPTURE_LIMITS, ...project.captureLimits };
+}
+
+export function parseCaptureLimits(limits) {
+    const { maxTiles, maxPixels } = { ...DEFAULT_CAPTURE_LIMITS, ...limits };
+    if (!Number.isInteger(Number(maxTiles)) || maxTiles < 1 || maxTiles > 1024) {
+        return { error: 'Max tiles must be an integer between 1 and 1024' };
+    }
+    if (!Number.isInteger(Number(maxPixels)) || maxPixels < 256 || maxPixels > 32768) {
+        return { error: 'Max pixels must be an integer between 256 and 32768' };
+    }
+    return { limits: { maxTiles: Number(maxTiles), maxPixels: Number(maxPixels) } };
+}
+
+// Global pixel rectangle of lat/lng bounds (y grows southwards)
+function pixelBounds(bounds, zoom, tileSize = 256) {
+    const nw = latLngToGlobalPixel(bounds.north, bounds.west, zoom, tileSize);
+    const se = latLngToGlobalPixel(bounds.south, bounds.east, zoom, tileSize);
+    return { x1: nw.globalX, y1: nw.globalY, x2: se.globalX, y2: se.globalY };
+}
+
+export function nativeFrame(tileGrid, tileSize = 256) {
+    const width = tileGrid.gridWidth * tileSize;
+    const height = tileGrid.gridHeight * tileSize;
+    return {
+        originX: tileGrid.minX * tileSize,
+        originY: tileGrid.minY * tileSize,
+        width,
+        height,
+        scale: 1,
+        padX: 0,
+        padY: 0,
+        outWidth: width,
+        outHeight: height
+    };
+}
+
+// A size×size window centred on the bounds; larger bounds get a larger window that is scaled down
+function cropFrame(bounds, zoom, size, tileSize = 256) {
+    const { x1, y1, x2, y2 } = pixelBounds(bounds, zoom, tileSize);
+    const side = Math.max(size, Math.ceil(x2 - x1), Math.ceil(y2 - y1));
+    return {
+        originX: Math.round((x1 + x2 - side) / 2),
+        originY: Math.round((y1 + y2 - side) / 2),
+        width: side,
+        height: side,
+        scale: size / side,
+        padX: 0,
+        padY: 0,
+        outWidth: size,
+        outHeight: size
+    };
+}
+
+// The tile grid scaled to fit into size×size, centred and padded
+function letterboxFrame(tileGrid, size, tileSize = 256) {
+    const native = nativeFrame(tileGrid, tileSize);
+    const scale = Math.min(size / native.width, size / native.height);
+    return {
+        ...native,
+        scale,
+        padX: Math.floor((size - Math.round(native.width * scale)) / 2),
+        padY: Math.floor((size - Math.round(native.height * scale)) / 2),
+        outWidth: size,
+        outHeight: size
+    };
+}
+
+// The bounds plus a margin (pixels, or percent of the bounds' size) on every side, unscaled
+function tightFrame(bounds, zoom, margin, marginUnit, tileSize = 256) {
+    const { x1, y1, x2, y2 } = pixelBounds(bounds, zoom, tileSize);
+    const marginX = marginUnit === '%' ? (x2 - x1) * margin / 100 : margin;
+    const marginY = marginUnit === '%' ? (y2 - y1) * margin / 100 : margin;
+
+    const originX = Math.floor(x1 - marginX);
+    const originY = Math.floor(y1 - marginY);
+    const width = Math.max(1, Math.ceil(x2 + marginX) - originX);
+    const height = Math.max(1, Math.ceil(y2 + marginY) - originY);
+    return { originX, originY, width, height, scale: 1, padX: 0, padY: 0, outWidth: width, outHeight: height };
+}
+
+export function chipFrame(project, bounds, zoom, tileSize = 256) {
+    const { mode, size, margin, marginUnit } = chipSettingsFor(project);
+    if (mode === 'crop' || mode === 'tile') return cropFrame(bounds, zoom, size, tileSize);
+    if (mode === 'tight') return tightFrame(bounds, zoom, margin, marginUnit, tileSize);
+
+    const tileGrid = getTilesForBounds(bounds, zoom);
+    return mode === 'letterbox' ? letterboxFrame(tileGrid, size, tileSize) : nativeFrame(tileGrid, tileSize);
+}
+
+// In tile mode, areas larger than one chip are split into several chips
+function needsTiling(project, bounds, zoom, tileSize = 256) {
+    const { mode, size } = chipSettingsFor(project);
+    if (mode !== 'tile') return false;
+
+    const { x1, y1, x2, y2 } = pixelBounds(bounds, zoom, tileSize);
+    return x2 - x1 > size || y2 - y1 > size;
+}
+
+// Tiles and source pixels needed for a global pixel rectangle, counted without listing
+// the tiles; `error` is set when it exceeds the limits
+function captureSize({ x1, y1, x2, y2 }, { maxTiles, maxPixels }, tileSize = 256) {
+    const cols = Math.floor((x2 - 1) / tileSize) - Math.floor(x1 / tileSize) + 1;
+    const rows = Math.floor((y2 - 1) / tileSize) - Math.floor(y1 / tileSize) + 1;
+    const size = { tiles: cols * rows, width: Math.ceil(x2 - x1), height: Math.ceil(y2 - y1), maxTiles, maxPixels };
+
+    // NaN or infinite bounds would otherwise pass both limit checks below
+    if (![size.tiles, size.width, size.height].every(Number.isFinite)) {
+        return { ...size, error: 'The area has no finite size' };
+    }
+    if (size.tiles > maxTiles) {
+        return { ...size, error: `The area spans ${size.tiles} tiles, the project allows ${maxTiles} per image` };
+    }
+    if (Math.max(size.width, size.height) > maxPixels) {
+        return { ...size, error: `The area is ${size.width}×${size.height} px, the project allows ${maxPixels} px per side` };
+    }
+    return size;
+}
+
+function frameRect(frame) {
+    return { x1: frame.originX, y1: frame.originY, x2: frame.originX + frame.width, y2: frame.originY + frame.height };
+}
+
+// Checks a capture against the project's limits before any tile is listed. Returns
+// { tiled } (whether it becomes chip scenes: tile mode, or `split` of an oversize area)
+// or { error, oversize }. Areas that can't be cut (oriented boxes) pass `canSplit: false`.
+export function planCapture(project, bounds, zoom, tileSize = 256, { split = false, canSplit = true } = {}) {
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+        return { error: `Zoom must be an integer between 0 and ${MAX_ZOOM}` };
+    }
+    const limits = captureLimitsFor(project);
+
+    // The bounds first: for the native and letterbox modes, the frame lists their tiles
+    let size = captureSize(pixelBounds(bounds, zoom, tileSize), limits, tileSize);
+    if (!size.error) size = captureSize(frameRect(chipFrame(project, bounds, zoom, tileSize)), limits, tileSize);
+
+    const { error, ...oversize } = size;
+    const tiled = canSplit && (needsTiling(project, bounds, zoom, tileSize) || Boolean(error && split));
+    if (!tiled) {
+        return error ? { error, oversize } : { tiled: false };
+    }
+
+    const { size: chip } = chipSettingsFor(project);
+    const { x1, y1, x2, y2 } = pixelBounds(bounds, zoom, tileSize);
+    const chips = Math.ceil((x2 - x1) / chip) * Math.ceil((y2 - y1) / chip);
+    if (chips > MAX_SPLIT_CHIPS) {
+        return { error: `Split into ${chip} px chips the area gives ${chips} chips, at most ${MAX_SPLIT_CHIPS} are allowed`, oversize };
+    }
+    // A chip straddles the most tiles when it starts just before a tile edge
+    const chipSize = captureSize({ x1: tileSize - 1, y1: tileSize - 1, x2: tileSize - 1 + chip, y2: tileSize - 1 + chip }, limits, tileSize);
+    if (chipSize.error) {
+        return { error: `Chips of ${chip} px exceed the project's capture limits`, oversize };
+    }
+    return { tiled: true };
+}
+
+// Frames of the size×size chips covering the bounds, as a grid centred on them
+export function chipGridFrames(bounds, zoom, size, tileSize = 256) {
+    const { x1, y1, x2, y2 } = pixelBounds(bounds, zoom, tileSize);
+    const cols = Math.ceil((x2 - x1) / size);
+    const rows = Math.ceil((y2 - y1) / size);
+    const left = Math.round((x1 + x2 - cols * size) / 2);
+    const top = Math.round((y1 + y2 - rows * size) / 2);
+
+    const frames = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            frames.push({
+                originX: left + col * size,
+                originY: top + row * size,
+                width: size,
+                height: size,
+                scale: 1,
+                padX: 0,
+                padY: 0,
+                outWidth: size,
+                outHeight: size
+            });
+        }
+    }
+    return frames;
+}
+
+// Lat/lng bounds of the map area a frame shows
+export function frameBounds(frame, zoom, tileSize = 256) {
+    const nw = globalPixelToLatLng(frame.originX, frame.originY, zoom, tileSize);
+    const se = globalPixelToLatLng(frame.originX + frame.width, frame.originY + frame.height, zoom, tileSize);
+    return { south: se.lat, west: nw.lng, north: nw.lat, east: se.lng };
+}
+
+// The tiles a frame needs, in the shape of getTilesForBounds()
+export function frameTileGrid(frame, zoom, tileSize = 256) {
+    const minX = Math.floor(frame.originX / tileSize);
+    const minY = Math.floor(frame.originY / tileSize);
+    const maxX = Math.floor((frame.originX + frame.width - 1) / tileSize);
+    const maxY = Math.floor((frame.originY + frame.height - 1) / tileSize);
+
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            tiles.push({ x, y, z: zoom });
+        }
+    }
+    return { tiles, gridWidth: maxX - minX + 1, gridHeight: maxY - minY + 1, minX, minY, maxX, maxY };
+}
+
+// Where the frame's window lies in the stitched tile grid, in pixels
+export function frameCrop(frame, tileGrid, tileSize = 256) {
+    return {
+        x: frame.originX - tileGrid.minX * tileSize,
+        y: frame.originY - tileGrid.minY * tileSize,
+        width: frame.width,
+        height: frame.height
+    };
+}
+
+// Maps lat/lng to pixels of the frame's output image
+export function frameProjector(frame, zoom, tileSize = 256) {
+    return (lat, lng) => {
+        const { globalX, globalY } = latLngToGlobalPixel(lat, lng, zoom, tileSize);
+        return [
+            (globalX - frame.originX) * frame.scale + frame.padX,
+            (globalY - frame.originY) * frame.scale + frame.padY
+        ];
+    };
+}
+
+export function calculateYoloForComposite(bounds, frame, zoom, tileSize = 256) {
+    const { outWidth, outHeight } = frame;
+    const toImage = frameProjector(frame, zoom, tileSize);
+
+    const [x1, y1] = toImage(bounds.north, bounds.west);
+    const [x2, y2] = toImage(bounds.south, bounds.east);
+
+    const boxWidth = Math.abs(x2 - x1);
+    const boxHeight = Math.abs(y2 - y1);
+    const xCenter = (x1 + x2) / 2 / outWidth;
+    const yCenter = (y1 + y2) / 2 / outHeight;
+
+    return {
+        x_center: Math.max(0, Math.min(1, xCenter)),
+        y_center: Math.max(0, Math.min(1, yCenter)),
+        width: Math.max(0, Math.min(1, boxWidth / outWidth)),
+        height: Math.max(0, Math.min(1, boxHeight / outHeight)),
+        pixel: { x1: Math.round(x1), y1: Math.round(y1), x2: Math.round(x2), y2: Math.round(y2) }
+    };
+}
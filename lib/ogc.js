@@ -0,0 +1,182 @@
+// Parsing of WMS and WMTS GetCapabilities documents, and tile URL templates for their
+// layers. WMS templates carry a {bbox} placeholder that is filled with the tile's
+// EPSG:3857 bounding box; WMTS layers need a Web Mercator tile matrix set.
+
+// Just enough XML for capabilities documents: elements (without namespace prefix),
+// attributes and text
+export function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<\/[^>]+>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    const decode = text => text.replace(/&(lt|gt|amp|quot|apos);/g, (_, name) => entities[name]);
+
+    let match;
+    while ((match = tokens.exec(xml))) {
+        const [token, cdata, tag, attrText, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decode(text);
+        } else if (tag) {
+            const attrs = {};
+            for (const [, name, , doubleQuoted, singleQuoted] of attrText.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                attrs[name.split(':').pop()] = decode(doubleQuoted ?? singleQuoted);
+            }
+            const element = { name: tag.split(':').pop(), attrs, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (token.startsWith('</') && stack.length > 1) {
+            stack.pop();
+        }
+    }
+    return root;
+}
+
+const xmlChildren = (element, name) => element?.children.filter(child => child.name === name) || [];
+const xmlChild = (element, name) => xmlChildren(element, name)[0];
+const xmlText = (element, name) => xmlChild(element, name)?.text.trim() || '';
+
+function xmlDescendants(element, name) {
+    if (!element) return [];
+    return element.children.flatMap(child => [...(child.name === name ? [child] : []), ...xmlDescendants(child, name)]);
+}
+
+export function capabilitiesUrl(type, url) {
+    const params = new URLSearchParams({ SERVICE: type.toUpperCase(), REQUEST: 'GetCapabilities' });
+    return `${url}${url.includes('?') ? '&' : '?'}${params}`;
+}
+
+// Time values: a list, or an ISO interval ("start/end/period") passed through as is
+function timeValues(text) {
+    return text.split(',').map(value => value.trim()).filter(Boolean);
+}
+
+export function parseWmsCapabilities(doc, serviceUrl) {
+    const root = doc.children[0];
+    const capability = xmlChild(root, 'Capability');
+    const getMap = xmlDescendants(capability, 'GetMap')[0];
+    const getMapUrl = xmlDescendants(getMap, 'OnlineResource')[0]?.attrs.href || serviceUrl;
+
+    const layers = xmlDescendants(capability, 'Layer')
+        .filter(layer => xmlText(layer, 'Name'))
+        .map(layer => {
+            // WMS 1.3.0 has <Dimension>; 1.1.1 declares an empty one and puts the values into <Extent>
+            const time = [...xmlChildren(layer, 'Extent'), ...xmlChildren(layer, 'Dimension')]
+                .find(dimension => dimension.attrs.name?.toLowerCase() === 'time');
+            return {
+                name: xmlText(layer, 'Name'),
+                title: xmlText(layer, 'Title') || xmlText(layer, 'Name'),
+                styles: xmlChildren(layer, 'Style').map(style => xmlText(style, 'Name')),
+                time: time ? { default: time.attrs.default || null, values: timeValues(time.text) } : null
+            };
+        });
+
+    return {
+        type: 'wms',
+        version: root?.attrs.version || '1.3.0',
+        url: getMapUrl,
+        formats: xmlChildren(getMap, 'Format').map(format => format.text.trim()),
+        layers
+    };
+}
+
+export function parseWmtsCapabilities(doc, serviceUrl) {
+    const root = doc.children[0];
+    const contents = xmlChild(root, 'Contents');
+
+    // Only Web Mercator sets line up with XYZ tiles; their matrices must be <prefix><zoom>
+    const matrixSets = {};
+    xmlChildren(contents, 'TileMatrixSet').forEach(set => {
+        if (!/3857|900913/.test(xmlText(set, 'SupportedCRS'))) return;
+        const ids = xmlChildren(set, 'TileMatrix').map(matrix => xmlText(matrix, 'Identifier'));
+        const prefix = (ids[0] || '').replace(/0$/, '');
+        if (ids.length && ids.every((id, zoom) => id === `${prefix}${zoom}`)) {
+            matrixSets[xmlText(set, 'Identifier')] = { prefix, maxZoom: ids.length - 1 };
+        }
+    });
+
+    const getTile = xmlDescendants(root, 'Operation').find(operation => operation.attrs.name === 'GetTile');
+    const getTileUrl = xmlDescendants(getTile, 'Get')[0]?.attrs.href || serviceUrl;
+
+    const layers = xmlChildren(contents, 'Layer').map(layer => {
+        const time = xmlChildren(layer, 'Dimension').find(dimension => xmlText(dimension, 'Identifier').toLowerCase() === 'time');
+        return {
+            name: xmlText(layer, 'Identifier'),
+            title: xmlText(layer, 'Title') || xmlText(layer, 'Identifier'),
+            styles: xmlChildren(layer, 'Style').map(style => xmlText(style, 'Identifier')),
+            formats: xmlChildren(layer, 'Format').map(format => format.text.trim()),
+            tileMatrixSets: xmlChildren(layer, 'TileMatrixSetLink')
+                .map(link => xmlText(link, 'TileMatrixSet'))
+                .filter(id => matrixSets[id]),
+            resourceUrl: xmlChildren(layer, 'ResourceURL').find(resource => resource.attrs.resourceType === 'tile')?.attrs.template || null,
+            time: time ? {
+                default: xmlText(time, 'Default') || null,
+                values: xmlChildren(time, 'Value').flatMap(value => timeValues(value.text))
+            } : null
+        };
+    });
+
+    return { type: 'wmts', version: root?.attrs.version || '1.0.0', url: getTileUrl, matrixSets, layers };
+}
+
+// Tile URL template for a layer of a capabilities document; unset options fall back
+// to the layer's first style/format/matrix set and its default time
+export function ogcTileUrl(capabilities, { layer: layerName, style, format, time, tileMatrixSet }) {
+    const layer = capabilities.layers.find(l => l.name === layerName);
+    if (!layer) return { error: `Layer "${layerName}" not found` };
+
+    const formats = layer.formats || capabilities.formats;
+    const useStyle = style ?? layer.styles[0] ?? '';
+    const useFormat = format || formats.find(f => /jpe?g/.test(f)) || formats[0] || 'image/jpeg';
+    const useTime = time || layer.time?.default || null;
+    const join = (url, params) => `${url}${url.includes('?') ? (/[?&]$/.test(url) ? '' : '&') : '?'}${params}`;
+
+    if (capabilities.type === 'wms') {
+        const params = new URLSearchParams({
+            SERVICE: 'WMS',
+            REQUEST: 'GetMap',
+            VERSION: capabilities.version,
+            LAYERS: layer.name,
+            STYLES: useStyle,
+            FORMAT: useFormat,
+            WIDTH: '256',
+            HEIGHT: '256',
+            [capabilities.version === '1.3.0' ? 'CRS' : 'SRS']: 'EPSG:3857'
+        });
+        if (useTime) params.set('TIME', useTime);
+        return { tileUrl: `${join(capabilities.url, params)}&BBOX={bbox}`, maxZoom: 22 };
+    }
+
+    const setId = tileMatrixSet || layer.tileMatrixSets[0];
+    const matrixSet = layer.tileMatrixSets.includes(setId) && capabilities.matrixSets[setId];
+    if (!matrixSet) return { error: `Layer "${layer.name}" has no Web Mercator tile matrix set` };
+
+    if (layer.resourceUrl) {
+        const values = {
+            style: useStyle,
+            tilematrixset: setId,
+            tilematrix: `${matrixSet.prefix}{z}`,
+            tilerow: '{y}',
+            tilecol: '{x}',
+            time: useTime || ''
+        };
+        const tileUrl = layer.resourceUrl.replace(/\{(\w+)\}/g, (placeholder, name) => values[name.toLowerCase()] ?? placeholder);
+        return { tileUrl, maxZoom: matrixSet.maxZoom };
+    }
+
+    const params = new URLSearchParams({
+        SERVICE: 'WMTS',
+        REQUEST: 'GetTile',
+        VERSION: capabilities.version,
+        LAYER: layer.name,
+        STYLE: useStyle,
+        FORMAT: useFormat,
+        TILEMATRIXSET: setId
+    });
+    if (useTime) params.set('TIME', useTime);
+    const tileUrl = `${join(capabilities.url, params)}&TILEMATRIX=${encodeURIComponent(matrixSet.prefix)}{z}&TILEROW={y}&TILECOL={x}`;
+    return { tileUrl, maxZoom: matrixSet.maxZoom };
+}
@@ -0,0 +1,205 @@
+import { latLngToTile, tileToBounds } from './tiles.js';
+
+// Every exported image keeps the split it was first assigned to, so re-exports and
+// the preview on the export page agree and images never move between train, valid
+// and test. Only images without an assignment are placed, with a seeded shuffle.
+// In block mode, neighbouring images share a geographic block (a tile at a coarser
+// zoom) and whole blocks are assigned, so near-identical chips can't end up on
+// both sides of a split.
+
+export const SPLITS = ['train', 'valid', 'test'];
+const SPLIT_MODES = ['random', 'block'];
+
+const DEFAULT_SPLIT_SETTINGS = {
+    train: 0.8,
+    valid: 0.15,
+    test: 0.05,
+    seed: 42,
+    stratify: true, // Balance each class across the splits
+    freezeTest: true, // New images only go to train/valid once a test set exists
+    mode: 'random',
+    blockZoom: 10 // Block size in block mode, ~40 km at zoom 10
+};
+
+export function splitSettingsFor(project) {
+    return { ...DEFAULT_SPLIT_SETTINGS, ...project.splitSettings };
+}
+
+export function parseSplitSettings(settings) {
+    const { seed, stratify, freezeTest, mode, blockZoom } = settings;
+    const ratios = SPLITS.map(split => Number(settings[split]));
+
+    if (!ratios.every(r => Number.isFinite(r) && r >= 0 && r <= 1)) {
+        return { error: 'train, valid and test must be ratios between 0 and 1' };
+    }
+    if (Math.abs(ratios.reduce((a, b) => a + b, 0) - 1) > 1e-6) {
+        return { error: 'train, valid and test must add up to 1' };
+    }
+    if (!Number.isInteger(Number(seed))) {
+        return { error: 'seed must be an integer' };
+    }
+    if (!SPLIT_MODES.includes(mode)) {
+        return { error: `mode must be one of: ${SPLIT_MODES.join(', ')}` };
+    }
+    if (!Number.isInteger(Number(blockZoom)) || blockZoom < 1 || blockZoom > 18) {
+        return { error: 'blockZoom must be an integer between 1 and 18' };
+    }
+
+    const [train, valid, test] = ratios;
+    return {
+        settings: {
+            train, valid, test,
+            seed: Number(seed),
+            stratify: Boolean(stratify),
+            freezeTest: Boolean(freezeTest),
+            mode,
+            blockZoom: Number(blockZoom)
+        }
+    };
+}
+
+// Scenes and standalone boxes keep their key when their image is regenerated
+export function imageKey(img) {
+    return img.sceneId ? `scene:${img.sceneId}` : `box:${img.boxIds[0]}`;
+}
+
+// mulberry32: small, fast and the same sequence for the same seed everywhere
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffleArray(array, random = Math.random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Images (and blocks) with several classes are stratified by their rarest one,
+// background chips form a stratum of their own
+function rarestClass(classIds, classCounts) {
+    if (classIds.length === 0) return 'background';
+    return classIds.reduce((rarest, id) => classCounts[id] < classCounts[rarest] ? id : rarest);
+}
+
+// The block tile containing the image center, as "z/x/y"
+function imageBlock(img, blockZoom) {
+    const { south, west, north, east } = img.bounds;
+    const { x, y, z } = latLngToTile((south + north) / 2, (west + east) / 2, blockZoom);
+    return `${z}/${x}/${y}`;
+}
+
+function mostCommon(values) {
+    const counts = {};
+    values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+// Assigns a split to every image without one in `stored` (image key -> split) and sets
+// `split` (and `block`) on every image; returns the images per split and the new assignments
+export function assignSplits(images, settings, stored) {
+    const assigned = new Map(stored);
+    const testFrozen = settings.freezeTest && [...assigned.values()].includes('test');
+
+    const classCounts = {};
+    images.forEach(img => {
+        new Set(img.annotations.map(a => a.classId)).forEach(id => {
+            classCounts[id] = (classCounts[id] || 0) + 1;
+        });
+    });
+
+    // Units are assigned as a whole: single images, or all images of one block
+    const units = new Map();
+    images.forEach(img => {
+        if (settings.mode === 'block') img.block = imageBlock(img, settings.blockZoom);
+        const key = img.block || imageKey(img);
+        if (!units.has(key)) units.set(key, { key, images: [] });
+        units.get(key).images.push(img);
+    });
+
+    // Targets cover all images, so new ones fill up what the existing assignment lacks
+    const strata = {};
+    const overall = { total: images.length, train: 0, valid: 0, test: 0 };
+    const pending = [];
+    const added = [];
+    const assign = (img, split, stratum) => {
+        if (!assigned.has(imageKey(img))) {
+            assigned.set(imageKey(img), split);
+            added.push({ imageKey: imageKey(img), split });
+        }
+        stratum[split]++;
+        overall[split]++;
+    };
+
+    units.forEach(unit => {
+        const classIds = unit.images.flatMap(img => img.annotations.map(a => a.classId));
+        unit.stratum = strata[settings.stratify ? rarestClass(classIds, classCounts) : 'all'] ??=
+            { total: 0, train: 0, valid: 0, test: 0 };
+        unit.stratum.total += unit.images.length;
+
+        const split = mostCommon(unit.images.map(img => assigned.get(imageKey(img))).filter(Boolean));
+        if (!split) {
+            pending.push(unit);
+            return;
+        }
+
+        // New images join the split their block already has, but a frozen test set doesn't grow
+        const fresh = unit.images.filter(img => !assigned.has(imageKey(img)));
+        unit.images.filter(img => assigned.has(imageKey(img)))
+            .forEach(img => assign(img, assigned.get(imageKey(img)), unit.stratum));
+        if (split === 'test' && testFrozen) {
+            if (fresh.length > 0) pending.push({ ...unit, images: fresh });
+        } else {
+            fresh.forEach(img => assign(img, split, unit.stratum));
+        }
+    });
+
+    const candidates = testFrozen ? ['train', 'valid'] : SPLITS;
+    const deficit = (counts, split) => settings[split] * counts.total - counts[split];
+
+    // Sorted first so the seeded shuffle doesn't depend on database order
+    const ordered = shuffleArray(
+        pending.sort((a, b) => a.key.localeCompare(b.key)),
+        seededRandom(settings.seed)
+    );
+
+    for (const unit of ordered) {
+        // Fill the split that lags most behind, both in the unit's class and overall
+        const score = split => deficit(unit.stratum, split) + deficit(overall, split);
+        const split = candidates.reduce((best, s) => score(s) > score(best) ? s : best);
+        unit.images.forEach(img => assign(img, split, unit.stratum));
+    }
+
+    const result = { train: [], valid: [], test: [] };
+    images.forEach(img => {
+        img.split = assigned.get(imageKey(img));
+        result[img.split].push(img);
+    });
+    return { split: result, added };
+}
+
+// Blocks with their outline and the split of their images, for the map on the export page
+export function splitBlocks(images) {
+    const blocks = new Map();
+    images.filter(img => img.block).forEach(img => {
+        if (!blocks.has(img.block)) {
+            const [z, x, y] = img.block.split('/').map(Number);
+            blocks.set(img.block, { key: img.block, bounds: tileToBounds(x, y, z), splits: [], images: 0 });
+        }
+        const block = blocks.get(img.block);
+        block.images++;
+        block.splits.push(img.split);
+    });
+    return Array.from(blocks.values()).map(({ splits, ...block }) => ({ ...block, split: mostCommon(splits) }));
+}
@@ -0,0 +1,403 @@
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+
+// Records live in db.data while the server runs; db.write() stores what changed since the
+// last write in one SQLite transaction. The rest of the server only uses db.data,
+// db.write(), db.nextId() and db.find(), which is all another backend would have to provide.
+//
+// Each collection is a table of records as JSON under their key. Reads go through db.data,
+// except db.find(), which looks records up through indexed columns generated from the JSON.
+// Top-level values that aren't collections are kept in `meta`.
+//
+// Only changes made through db.data are tracked. A record pushed and written, then changed
+// through a reference kept from before the push, is not stored again: change it through
+// the proxy db.data hands out instead.
+
+// Collections keyed by something other than `id`
+const STORAGE_KEYS = {
+    splits: ['projectId', 'imageKey']
+};
+
+// Fields db.find() can filter by, each an indexed column of the collection's table;
+// `bounds` matches records whose bounds overlap the given ones
+const STORAGE_INDEXES = {
+    labels: ['projectId'],
+    boxes: ['projectId', 'labelId', 'userId', 'bounds'],
+    scenes: ['projectId', 'userId', 'bounds']
+};
+
+// Schema changes in order; a file's PRAGMA user_version counts those it has.
+// Applied migrations must not change, later schema changes are appended.
+const STORAGE_MIGRATIONS = [
+    `
+    CREATE TABLE meta (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL);
+
+    CREATE TABLE users (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE projects (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE labels (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE boxes (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE scenes (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE splits (
+        projectId INTEGER NOT NULL,
+        imageKey TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (projectId, imageKey)
+    );
+    CREATE TABLE imagery (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE tileSources (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE jobs (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    `,
+    `
+    ALTER TABLE labels ADD COLUMN projectId INTEGER AS (json_extract(data, '$.projectId'));
+    CREATE INDEX labels_project ON labels (projectId);
+
+    ALTER TABLE boxes ADD COLUMN projectId INTEGER AS (json_extract(data, '$.projectId'));
+    ALTER TABLE boxes ADD COLUMN labelId INTEGER AS (json_extract(data, '$.labelId'));
+    ALTER TABLE boxes ADD COLUMN userId INTEGER AS (json_extract(data, '$.userId'));
+    ALTER TABLE boxes ADD COLUMN south REAL AS (json_extract(data, '$.bounds.south'));
+    ALTER TABLE boxes ADD COLUMN west REAL AS (json_extract(data, '$.bounds.west'));
+    ALTER TABLE boxes ADD COLUMN north REAL AS (json_extract(data, '$.bounds.north'));
+    ALTER TABLE boxes ADD COLUMN east REAL AS (json_extract(data, '$.bounds.east'));
+    CREATE INDEX boxes_label ON boxes (labelId);
+    CREATE INDEX boxes_user ON boxes (userId);
+    CREATE INDEX boxes_bounds ON boxes (projectId, south, north, west, east);
+
+    ALTER TABLE scenes ADD COLUMN projectId INTEGER AS (json_extract(data, '$.projectId'));
+    ALTER TABLE scenes ADD COLUMN userId INTEGER AS (json_extract(data, '$.userId'));
+    ALTER TABLE scenes ADD COLUMN south REAL AS (json_extract(data, '$.bounds.south'));
+    ALTER TABLE scenes ADD COLUMN west REAL AS (json_extract(data, '$.bounds.west'));
+    ALTER TABLE scenes ADD COLUMN north REAL AS (json_extract(data, '$.bounds.north'));
+    ALTER TABLE scenes ADD COLUMN east REAL AS (json_extract(data, '$.bounds.east'));
+    CREATE INDEX scenes_user ON scenes (userId);
+    CREATE INDEX scenes_bounds ON scenes (projectId, south, north, west, east);
+    `
+];
+
+function migrateStorage(sqlite) {
+    const version = sqlite.pragma('user_version', { simple: true });
+    STORAGE_MIGRATIONS.slice(version).forEach((migration, i) => {
+        sqlite.transaction(() => {
+            sqlite.exec(migration);
+            sqlite.pragma(`user_version = ${version + i + 1}`);
+        })();
+    });
+}
+
+export function openStorage(file) {
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    migrateStorage(sqlite);
+
+    const tables = new Map(sqlite
+        .prepare(`SELECT name FROM sqlite_schema WHERE type = 'table' AND name NOT IN ('meta', 'sequences')`)
+        .pluck()
+        .all()
+        .map(name => {
+            const keys = STORAGE_KEYS[name] || ['id'];
+            return [name, {
+                name,
+                keys,
+                select: sqlite.prepare(`SELECT data FROM ${name} ORDER BY rowid`).pluck(),
+                upsert: sqlite.prepare(`INSERT INTO ${name} (${keys.join(', ')}, data) VALUES (${keys.map(() => '?').join(', ')}, ?)
+                    ON CONFLICT (${keys.join(', ')}) DO UPDATE SET data = excluded.data`),
+                remove: sqlite.prepare(`DELETE FROM ${name} WHERE ${keys.map(key => `${key} = ?`).join(' AND ')}`),
+                records: [], // the plain records; db.data[name] is a proxy of this array
+                rows: new Map(), // row key -> record, of the records written so far
+                members: new Set(), // the same records, to tell whether a changed record is still stored
+                dirty: new Set(), // records changed since the last write
+                reconcile: false, // records may have been removed: compare the stored keys on the next write
+                written: new Map() // row key -> key values of the rows in the table
+            }];
+        }));
+    const writtenKeys = new WeakMap(); // record -> row key it was written under
+    const rowKey = (table, record) => JSON.stringify(table.keys.map(key => record[key]));
+
+    const meta = {
+        upsert: sqlite.prepare('INSERT INTO meta (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data'),
+        remove: sqlite.prepare('DELETE FROM meta WHERE name = ?'),
+        dirty: new Set()
+    };
+    const saveSequence = sqlite.prepare(
+        'INSERT INTO sequences (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+    );
+
+    // The last id handed out per collection, so ids of purged records are never reused.
+    // Records added with an id of their own raise it as well.
+    const sequences = new Map(sqlite.prepare('SELECT name, value FROM sequences').raw().all());
+    const changedSequences = new Set();
+    const raiseSequence = (table, record) => {
+        if (STORAGE_KEYS[table.name] || !Number.isInteger(record.id)) return;
+        if (record.id > (sequences.get(table.name) ?? 0)) {
+            sequences.set(table.name, record.id);
+            changedSequences.add(table.name);
+        }
+    };
+
+    // Changes are tracked through proxies: db.data, its collections, the records and
+    // everything inside them. Stored values are always plain, so proxies assigned
+    // somewhere are swapped for their targets.
+    const targets = new WeakMap(); // proxy -> plain object
+    const proxyCaches = new WeakMap(); // record or meta value -> (plain object -> proxy)
+
+    const unwrap = value => {
+        if (value === null || typeof value !== 'object') return value;
+        if (targets.has(value)) return targets.get(value);
+        for (const key of Object.keys(value)) value[key] = unwrap(value[key]);
+        return value;
+    };
+
+    // Proxy of `target` inside `owner` (a record or meta value); changes call `changed`
+    const track = (target, owner, changed) => {
+        if (!proxyCaches.has(owner)) proxyCaches.set(owner, new WeakMap());
+        const cache = proxyCaches.get(owner);
+        if (!cache.has(target)) {
+            const proxy = new Proxy(target, {
+                get(obj, prop) {
+                    const value = obj[prop];
+                    return value !== null && typeof value === 'object' ? track(value, owner, changed) : value;
+                },
+                set(obj, prop, value) {
+                    obj[prop] = unwrap(value);
+                    changed();
+                    return true;
+                },
+                deleteProperty(obj, prop) {
+                    delete obj[prop];
+                    changed();
+                    return true;
+                }
+            });
+            cache.set(target, proxy);
+            targets.set(proxy, target);
+        }
+        return cache.get(target);
+    };
+
+    const trackRecord = (table, record) => track(record, record, () => table.dirty.add(record));
+
+    // Appending is cheap; replacing or removing records compares keys on the next write
+    const collectionProxy = table => new Proxy(table.records, {
+        get(records, prop) {
+            const value = records[prop];
+            return value !== null && typeof value === 'object' ? trackRecord(table, value) : value;
+        },
+        set(records, prop, value) {
+            const index = Number(prop);
+            if (prop === 'length') {
+                if (value < records.length) table.reconcile = true;
+            } else if (Number.isInteger(index) && index >= 0) {
+                if (index < records.length) table.reconcile = true;
+                value = unwrap(value);
+                table.members.add(value);
+                table.dirty.add(value);
+                raiseSequence(table, value);
+            }
+            records[prop] = value;
+            return true;
+        },
+        deleteProperty(records, prop) {
+            delete records[prop];
+            table.reconcile = true;
+            return true;
+        }
+    });
+
+    const setCollection = (table, records) => {
+        table.records = unwrap(records);
+        table.members = new Set(table.records);
+        table.reconcile = true;
+        for (const record of table.records) {
+            if (!writtenKeys.has(record)) table.dirty.add(record);
+            raiseSequence(table, record);
+        }
+        values[table.name] = collectionProxy(table);
+    };
+
+    // Top-level values: the collections, and whatever else ends up in `meta`
+    const values = {};
+    for (const table of tables.values()) {
+        table.records = table.select.all().map(json => {
+            const record = JSON.parse(json);
+            const key = rowKey(table, record);
+            table.written.set(key, table.keys.map(k => record[k]));
+            writtenKeys.set(record, key);
+            table.rows.set(key, record);
+            raiseSequence(table, record);
+            return record;
+        });
+        table.members = new Set(table.records);
+        values[table.name] = collectionProxy(table);
+    }
+    for (const { name, data } of sqlite.prepare('SELECT name, data FROM meta').all()) {
+        values[name] = JSON.parse(data);
+    }
+    changedSequences.clear();
+
+    const data = new Proxy(values, {
+        get(obj, prop) {
+            const value = obj[prop];
+            if (tables.has(prop) || value === null || typeof value !== 'object') return value;
+            return track(value, value, () => meta.dirty.add(prop));
+        },
+        set(obj, prop, value) {
+            if (tables.has(prop)) {
+                setCollection(tables.get(prop), value);
+            } else {
+                obj[prop] = unwrap(value);
+                meta.dirty.add(prop);
+            }
+            return true;
+        },
+        deleteProperty(obj, prop) {
+            if (!tables.has(prop)) {
+                delete obj[prop];
+                meta.dirty.add(prop);
+            }
+            return true;
+        }
+    });
+
+    // Only changed records are stringified and stored
+    const persist = sqlite.transaction(() => {
+        const done = [];
+        for (const table of tables.values()) {
+            if (!table.dirty.size && !table.reconcile) continue;
+
+            let written = table.written;
+            if (table.reconcile) {
+                table.members = new Set(table.records);
+                const present = new Set(table.records.map(record => rowKey(table, record)));
+                written = new Map([...written].filter(([key, keyValues]) => {
+                    if (!present.has(key)) table.remove.run(...keyValues);
+                    return present.has(key);
+                }));
+            }
+
+            const keys = [];
+            for (const record of table.dirty) {
+                // Changed after it was removed
+                if (!table.members.has(record)) continue;
+                const keyValues = table.keys.map(key => record[key]);
+                const key = JSON.stringify(keyValues);
+                const previous = writtenKeys.get(record);
+                if (previous !== undefined && previous !== key && written.has(previous)) {
+                    table.remove.run(...written.get(previous));
+                    written.delete(previous);
+                }
+                table.upsert.run(...keyValues, JSON.stringify(record));
+                written.set(key, keyValues);
+                keys.push([record, key]);
+            }
+            done.push({ table, written, keys });
+        }
+
+        for (const name of meta.dirty) {
+            if (tables.has(name)) continue;
+            if (values[name] === undefined) meta.remove.run(name);
+            else meta.upsert.run(name, JSON.stringify(values[name]));
+        }
+        for (const name of changedSequences) saveSequence.run(name, sequences.get(name));
+        return done;
+    });
+
+    // Synchronous like everything in better-sqlite3, so writes never interleave;
+    // the bookkeeping only changes once the transaction has committed
+    const flush = () => {
+        const done = persist();
+        for (const { table, written, keys } of done) {
+            if (table.reconcile) table.rows = new Map(table.records.map(record => [rowKey(table, record), record]));
+            keys.forEach(([record, key]) => {
+                const previous = writtenKeys.get(record);
+                if (previous !== key && table.rows.get(previous) === record) table.rows.delete(previous);
+                table.rows.set(key, record);
+                writtenKeys.set(record, key);
+            });
+            table.written = written;
+            table.dirty.clear();
+            table.reconcile = false;
+        }
+        meta.dirty.clear();
+        changedSequences.clear();
+    };
+
+    const queries = new Map(); // SQL -> prepared statement
+
+    return {
+        data,
+        collections: [...tables.keys()],
+
+        async write() {
+            flush();
+        },
+
+        // Records of a collection matching every field of `where` (see STORAGE_INDEXES) in id order,
+        // as the same proxies db.data hands out. Pending changes are written first.
+        find(collection, where = {}) {
+            const table = tables.get(collection);
+            const clauses = [];
+            const params = [];
+            for (const [field, value] of Object.entries(where)) {
+                if (!STORAGE_INDEXES[collection]?.includes(field)) {
+                    throw new Error(`${collection} can't be searched by ${field}`);
+                }
+                if (field === 'bounds') {
+                    clauses.push('south < ? AND north > ? AND west < ? AND east > ?');
+                    params.push(value.north, value.south, value.east, value.west);
+                } else {
+                    clauses.push(`${field} = ?`);
+                    params.push(value);
+                }
+            }
+            flush();
+
+            const sql = `SELECT ${table.keys.join(', ')} FROM ${collection}
+                ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''} ORDER BY rowid`;
+            if (!queries.has(sql)) queries.set(sql, sqlite.prepare(sql).raw());
+            return queries.get(sql).all(...params).map(keyValues => trackRecord(table, table.rows.get(JSON.stringify(keyValues))));
+        },
+
+        nextId(collection) {
+            const id = (sequences.get(collection) ?? 0) + 1;
+            sequences.set(collection, id);
+            changedSequences.add(collection);
+            return id;
+        }
+    };
+}
+
+// Moves the db.json of older versions into a new, empty database once; the file is
+// kept as <file>.migrated
+export async function importLegacyDatabase(db, file) {
+    if (db.data.users.length || db.data.projects.length) return;
+
+    let legacy;
+    try {
+        legacy = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    Object.assign(db.data, legacy);
+
+    // Records without their key would all land on a NULL row: they get an id, or are
+    // dropped where the key is data (splits)
+    let dropped = 0;
+    for (const name of db.collections) {
+        const keys = STORAGE_KEYS[name];
+        if (keys) {
+            const complete = db.data[name].filter(record => keys.every(key => record[key] != null));
+            dropped += db.data[name].length - complete.length;
+            if (complete.length < db.data[name].length) db.data[name] = complete;
+        } else {
+            db.data[name].forEach(record => {
+                if (!Number.isInteger(record.id)) record.id = db.nextId(name);
+            });
+        }
+    }
+    if (dropped) console.warn(`⚠️  ${dropped} record(s) of ${file} without a key were not imported`);
+
+    await db.write();
+    await fs.rename(file, `${file}.migrated`);
+    console.log(`🗄️  Imported ${file}`);
+}
@@ -0,0 +1,57 @@
+// Web Mercator tile math: tile coordinates, their bounds and global pixels at a zoom
+
+export function latLngToTile(lat, lng, zoom) {
+    const n = Math.pow(2, zoom);
+    const x = Math.floor((lng + 180) / 360 * n);
+    const latRad = lat * Math.PI / 180;
+    const y = Math.floor((1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n);
+    return { x, y, z: zoom };
+}
+
+export function tileToBounds(x, y, z) {
+    const n = Math.pow(2, z);
+    const lng = tx => tx / n * 360 - 180;
+    const lat = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+    return { south: lat(y + 1), west: lng(x), north: lat(y), east: lng(x + 1) };
+}
+
+// The area covered by a range of whole tiles
+export function tileRangeBounds(minX, minY, maxX, maxY, zoom) {
+    const topLeft = tileToBounds(minX, minY, zoom);
+    const bottomRight = tileToBounds(maxX, maxY, zoom);
+    return { south: bottomRight.south, west: topLeft.west, north: topLeft.north, east: bottomRight.east };
+}
+
+export function latLngToGlobalPixel(lat, lng, zoom, tileSize = 256) {
+    const n = Math.pow(2, zoom);
+    const globalX = (lng + 180) / 360 * n * tileSize;
+    const latRad = lat * Math.PI / 180;
+    const globalY = (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n * tileSize;
+    return { globalX, globalY };
+}
+
+export function globalPixelToLatLng(globalX, globalY, zoom, tileSize = 256) {
+    const size = Math.pow(2, zoom) * tileSize;
+    const lng = globalX / size * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * globalY / size))) * 180 / Math.PI;
+    return { lat, lng };
+}
+
+export function getTilesForBounds(bounds, zoom) {
+    const swTile = latLngToTile(bounds.south, bounds.west, zoom);
+    const neTile = latLngToTile(bounds.north, bounds.east, zoom);
+
+    const tiles = [];
+    const minX = Math.min(swTile.x, neTile.x);
+    const maxX = Math.max(swTile.x, neTile.x);
+    const minY = Math.min(swTile.y, neTile.y);
+    const maxY = Math.max(swTile.y, neTile.y);
+
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            tiles.push({ x, y, z: zoom });
+        }
+    }
+
+    return { tiles, gridWidth: maxX - minX + 1, gridHeight: maxY - minY + 1, minX, minY, maxX, maxY };
+}
@@ -1,6 +1,8 @@
 let map;
 let currentTileLayer;
 let drawEnabled = false;
+let sceneMode = false; // Draw scenes (image chips) instead of boxes
+let backgroundMode = false; // Scenes are drawn as background (negative) chips
 let currentLabelId = null;
 let currentLabelName = null;
 
@@ -8,37 +10,33 @@ let currentLabelName = null;
 let startLatLng = null;
 let tempRect = null;
 let lastTouchLatLng = null; // Store last touch position for touchend
+let shapeMode = 'rect'; // Shape of new boxes: rect, polygon or obb
+let shapePoints = []; // Vertices placed so far while drawing a polygon/OBB
+let tempShape = null;
 
 // Saved boxes with their Leaflet objects
 const rectangles = new Map(); // boxId -> { rect, data }
 
+// Saved scenes with their Leaflet objects
+const scenes = new Map(); // sceneId -> { rect, data }
+
+// Progress of images being rendered by the server's image jobs
+const imageProgress = new Map(); // 'box:<id>' / 'scene:<id>' -> { done, total }
+
 // Other users' cursors
 const otherCursors = new Map(); // userId -> cursor element
 
 // Current user (to ignore own events)
 let currentUser = null;
 
-// Tile Presets
-const TILE_PRESETS = {
-    sentinel: {
-        url: 'https://tiles.maps.eox.at/wmts/1.0.0/s2cloudless_3857/default/GoogleMapsCompatible/{z}/{y}/{x}.jpg',
-        maxZoom: 14,
-        attribution: '&copy; <a href="https://s2maps.eu">Sentinel-2 cloudless</a> by EOX'
-    },
-    osm: {
-        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-        maxZoom: 19,
-        attribution: '&copy; <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-    },
-    esri: {
-        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-        maxZoom: 18,
-        attribution: '&copy; Esri, Maxar, Earthstar Geographics'
-    }
-};
+// Project selected in the topbar (scopes all data and the default tile source)
+let currentProject = null;
+
+// Tile sources registered by admins (loaded from the server)
+let tileSources = [];
 
 // Current tile URL (for server communication)
-let currentTileUrl = TILE_PRESETS.sentinel.url;
+let currentTileUrl = null;
 
 async function fetchJSON(url, options) {
     const res = await fetch(url, options);
@@ -49,6 +47,15 @@ async function fetchJSON(url, options) {
     return res.json();
 }
 
+// fetchJSON errors carry the response body; the server's message if there is one
+function errorMessage(err, fallback) {
+    try {
+        return JSON.parse(err.message).error || fallback;
+    } catch {
+        return fallback;
+    }
+}
+
 // --- Labels ---
 
 async function loadLabels() {
@@ -98,23 +105,40 @@ function updateLabelList(labels) {
 }
 
 async function deleteLabel(id) {
+    const labelId = Number(id);
     try {
-        await fetchJSON(`/api/labels/${id}`, { method: 'DELETE' });
-        await loadLabels();
-        await loadExistingBoxes();
-
-        // Reset selection if deleted label was selected
-        if (currentLabelId === Number(id)) {
-            currentLabelId = null;
-            currentLabelName = null;
-            document.getElementById('label-select').value = '';
-        }
+        await requestDeleteLabel(labelId);
+        pushHistory({
+            description: 'Delete label',
+            undo: () => requestRestoreLabel(labelId),
+            redo: () => requestDeleteLabel(labelId)
+        });
     } catch (err) {
         console.error(err);
         alert('Error deleting label');
     }
 }
 
+async function requestDeleteLabel(id) {
+    await fetchJSON(`/api/labels/${id}`, { method: 'DELETE' });
+    await loadLabels();
+    await loadExistingBoxes();
+
+    // Reset selection if deleted label was selected
+    if (currentLabelId === id) {
+        currentLabelId = null;
+        currentLabelName = null;
+        document.getElementById('label-select').value = '';
+        updateActiveLabelDisplay();
+    }
+}
+
+async function requestRestoreLabel(id) {
+    await fetchJSON(`/api/labels/${id}/restore`, { method: 'POST' });
+    await loadLabels();
+    await loadExistingBoxes();
+}
+
 async function addLabel() {
     const input = document.getElementById('new-label-input');
     const name = input.value.trim();
@@ -147,22 +171,62 @@ async function addLabel() {
 
 async function deleteBox(id) {
     try {
-        await fetchJSON(`/api/boxes/${id}`, { method: 'DELETE' });
-
-        // Remove rectangle from map
-        const rectData = rectangles.get(id);
-        if (rectData) {
-            map.removeLayer(rectData.rect);
-            rectangles.delete(id);
-        }
-
-        updateStats();
+        await requestDeleteBox(id);
+        pushHistory({
+            description: 'Delete box',
+            undo: () => requestRestoreBox(id),
+            redo: () => requestDeleteBox(id)
+        });
     } catch (err) {
         console.error(err);
         alert('Error deleting box');
     }
 }
 
+async function requestDeleteBox(id) {
+    await fetchJSON(`/api/boxes/${id}`, { method: 'DELETE' });
+    removeBoxFromMap(id);
+}
+
+async function requestRestoreBox(id) {
+    const box = await fetchJSON(`/api/boxes/${id}/restore`, { method: 'POST' });
+    addBoxToMap(box);
+}
+
+function addBoxToMap(box) {
+    if (rectangles.has(box.id)) return;
+
+    const sw = L.latLng(box.bounds.south, box.bounds.west);
+    const ne = L.latLng(box.bounds.north, box.bounds.east);
+    const style = {
+        color: getLabelColor(box.labelId),
+        weight: 2,
+        fillOpacity: 0.2,
+        dashArray: imagePending(box) ? '4, 4' : null
+    };
+    // Polygons and oriented boxes keep their outline, plain boxes are rectangles
+    const rect = (box.points ? L.polygon(box.points, style) : L.rectangle([sw, ne], style)).addTo(map);
+
+    // Popup with edit/delete buttons
+    bindBoxPopup(rect, box.id);
+
+    rectangles.set(box.id, { rect, data: box });
+    updateStats();
+}
+
+function removeBoxFromMap(id) {
+    if (editingBox && editingBox.id === id) {
+        endEditBox();
+    }
+
+    const rectData = rectangles.get(id);
+    if (rectData) {
+        map.removeLayer(rectData.rect);
+        rectangles.delete(id);
+        updateStats();
+    }
+}
+
 async function loadExistingBoxes() {
     try {
         // First remove all old rectangles
@@ -170,21 +234,7 @@ async function loadExistingBoxes() {
         rectangles.clear();
 
         const boxes = await fetchJSON('/api/boxes');
-        boxes.forEach((b) => {
-            const sw = L.latLng(b.bounds.south, b.bounds.west);
-            const ne = L.latLng(b.bounds.north, b.bounds.east);
-            const rect = L.rectangle([sw, ne], {
-                color: getLabelColor(b.labelId),
-                weight: 2,
-                fillOpacity: 0.2
-            }).addTo(map);
-
-            // Popup with delete button
-            const popupContent = createPopupContent(b);
-            rect.bindPopup(popupContent);
-
-            rectangles.set(b.id, { rect, data: b });
-        });
+        boxes.forEach(addBoxToMap);
 
         updateStats();
     } catch (err) {
@@ -193,96 +243,1022 @@ async function loadExistingBoxes() {
     }
 }
 
-function createPopupContent(box) {
-    const div = document.createElement('div');
-    div.className = 'box-popup';
-    div.innerHTML = `
-        <strong>${box.labelName}</strong>
-        <div class="popup-info">
-            <small>Zoom: ${box.zoom || 'N/A'}</small><br>
-            <small>Tiles: ${box.tiles ? box.tiles.length : 0}</small>
-        </div>
-        <button class="popup-delete-btn" onclick="deleteBox(${box.id})">Delete</button>
-    `;
-    return div;
-}
+// --- Scenes ---
+
+async function loadExistingScenes() {
+    try {
+        scenes.forEach(({ rect }) => map.removeLayer(rect));
+        scenes.clear();
+
+        const sceneList = await fetchJSON('/api/scenes');
+        sceneList.forEach(addSceneToMap);
+    } catch (err) {
+        console.error(err);
+        alert('Error loading scenes');
+    }
+}
+
+function addSceneToMap(scene) {
+    const sw = L.latLng(scene.bounds.south, scene.bounds.west);
+    const ne = L.latLng(scene.bounds.north, scene.bounds.east);
+    // Background chips are shaded grey, regular scenes are outlined
+    const rect = L.rectangle([sw, ne], {
+        color: scene.background ? '#9ca3af' : '#ffffff',
+        weight: 2,
+        dashArray: '8, 6',
+        fill: Boolean(scene.background),
+        fillOpacity: 0.2
+    }).addTo(map);
+
+    // Keep scenes below their boxes; content is built on open so the box count is current
+    rect.bringToBack();
+    rect.bindPopup(() => createScenePopupContent(scenes.get(scene.id).data));
+
+    scenes.set(scene.id, { rect, data: scene });
+}
+
+function createScenePopupContent(scene) {
+    let boxCount = 0;
+    rectangles.forEach(({ data }) => {
+        if (data.sceneId === scene.id) boxCount++;
+    });
+
+    const div = document.createElement('div');
+    div.className = 'box-popup';
+    div.innerHTML = `
+        <strong>${scene.background ? 'Background' : 'Scene'} #${scene.id}</strong>
+        <div class="popup-info">
+            <small>Zoom: ${scene.zoom}</small><br>
+            ${scene.gsd ? `<small>GSD: ${scene.gsd} m/px</small><br>` : ''}
+            <small>Tiles: ${scene.tiles.length}</small><br>
+            <small>${scene.background ? 'Exported with an empty label file' : `Boxes: ${boxCount}`}</small>
+            ${imageStatusLine(scene, `scene:${scene.id}`)}
+        </div>
+        <button class="popup-delete-btn" onclick="deleteScene(${scene.id})">Delete</button>
+    `;
+    return div;
+}
+
+async function deleteScene(id) {
+    if (!confirm('Delete scene and all its boxes?')) return;
+
+    try {
+        await requestDeleteScene(id);
+        pushHistory({
+            description: 'Delete scene',
+            undo: () => requestRestoreScene(id),
+            redo: () => requestDeleteScene(id)
+        });
+    } catch (err) {
+        console.error(err);
+        alert('Error deleting scene');
+    }
+}
+
+async function requestDeleteScene(id) {
+    await fetchJSON(`/api/scenes/${id}`, { method: 'DELETE' });
+    handleSceneDeleted(id);
+
+    rectangles.forEach(({ data }, boxId) => {
+        if (data.sceneId === id) removeBoxFromMap(boxId);
+    });
+}
+
+async function requestRestoreScene(id) {
+    const result = await fetchJSON(`/api/scenes/${id}/restore`, { method: 'POST' });
+    if (!scenes.has(result.scene.id)) addSceneToMap(result.scene);
+    result.boxes.forEach(addBoxToMap);
+}
+
+// Latest scene whose extent contains the center of the given bounds
+function findSceneForBounds(bounds) {
+    const center = bounds.getCenter();
+    let match = null;
+    scenes.forEach(({ data }) => {
+        const b = data.bounds;
+        if (center.lat >= b.south && center.lat <= b.north &&
+            center.lng >= b.west && center.lng <= b.east) {
+            if (!match || data.id > match.id) match = data;
+        }
+    });
+    return match;
+}
+
+// Content is built on open so it reflects edits and the current label list
+function bindBoxPopup(rect, boxId) {
+    rect.bindPopup(() => createPopupContent(rectangles.get(boxId).data));
+}
+
+function createPopupContent(box) {
+    const labelOptions = Array.from(document.getElementById('label-select').options)
+        .filter(opt => opt.value)
+        .map(opt => `<option value="${opt.value}" ${Number(opt.value) === box.labelId ? 'selected' : ''}>${opt.textContent}</option>`)
+        .join('');
+
+    const div = document.createElement('div');
+    div.className = 'box-popup';
+    div.innerHTML = `
+        <strong>${box.labelName}</strong>
+        <div class="popup-info">
+            <small>Zoom: ${box.zoom || 'N/A'}</small><br>
+            ${box.gsd ? `<small>GSD: ${box.gsd} m/px</small><br>` : ''}
+            <small>Tiles: ${box.tiles ? box.tiles.length : 0}</small>
+            ${box.points ? `<br><small>Shape: ${box.shape}</small>` : ''}
+            ${box.sceneId ? `<br><small>Scene: #${box.sceneId}</small>` : ''}
+            ${imageStatusLine(box, boxImageKey(box))}
+        </div>
+        <div class="popup-relabel">
+            <select id="relabel-select-${box.id}">${labelOptions}</select>
+            <button class="popup-edit-btn" onclick="relabelBox(${box.id})">Relabel</button>
+        </div>
+        <div class="popup-actions">
+            <button class="popup-edit-btn" onclick="startEditBox(${box.id})">Edit</button>
+            <button class="popup-delete-btn" onclick="deleteBox(${box.id})">Delete</button>
+        </div>
+    `;
+    return div;
+}
+
+// --- Image Jobs ---
+// The server renders the images of new and moved boxes and scenes in the background;
+// until then they are drawn dashed and their popup shows the progress.
+
+// Boxes of a scene show the scene's image
+function boxImageKey(box) {
+    return box.sceneId ? `scene:${box.sceneId}` : `box:${box.id}`;
+}
+
+// Records from before the image queue have no imageStatus and are ready
+function imagePending(record) {
+    return record.imageStatus === 'pending';
+}
+
+function imageStatusLine(record, key) {
+    if (record.imageStatus === 'failed') {
+        return '<br><small class="image-status-failed">Image: failed</small>';
+    }
+    if (!imagePending(record)) return '';
+
+    const progress = imageProgress.get(key);
+    return progress
+        ? `<br><small>Image: ${Math.round(progress.done / progress.total * 100)}% of ${progress.total} tile(s)</small>`
+        : '<br><small>Image: queued</small>';
+}
+
+// Re-renders open popups of the boxes and scenes showing the image
+function refreshImagePopups(key) {
+    rectangles.forEach(({ rect, data }) => {
+        if (boxImageKey(data) === key && rect.isPopupOpen()) rect.getPopup().update();
+    });
+    const sceneData = key.startsWith('scene:') && scenes.get(Number(key.slice(6)));
+    if (sceneData && sceneData.rect.isPopupOpen()) sceneData.rect.getPopup().update();
+}
+
+function handleImageProgress(kind, { id, done, total }) {
+    const key = `${kind}:${id}`;
+    imageProgress.set(key, { done, total });
+    refreshImagePopups(key);
+}
+
+// Handle a finished image job (the box's own, or the scene's for each of its boxes)
+function handleBoxImageReady(box) {
+    imageProgress.delete(boxImageKey(box));
+    // The geometry didn't change; don't reset a box that is being edited
+    if (editingBox && editingBox.id === box.id) {
+        rectangles.get(box.id).data = box;
+    } else {
+        applyBoxUpdate(box);
+    }
+    refreshImagePopups(boxImageKey(box));
+    if (box.imageStatus === 'failed' && currentUser && box.userId === currentUser.id && typeof showToast === 'function') {
+        showToast(`The image of your ${box.labelName} box could not be created`, 'error');
+    }
+}
+
+function handleSceneImageReady(scene) {
+    const sceneData = scenes.get(scene.id);
+    if (!sceneData) return;
+
+    sceneData.data = scene;
+    imageProgress.delete(`scene:${scene.id}`);
+    refreshImagePopups(`scene:${scene.id}`);
+}
+
+// --- Capture Zoom ---
+// Mirrors the server: projects render captures at the map zoom, a fixed level or the
+// source's deepest level, whatever the annotator was zoomed to while drawing
+
+function currentSourceMaxZoom() {
+    const source = tileSources.find(s => s.url === currentTileUrl);
+    const imagery = imageryList.find(i => i.tileUrl === currentTileUrl);
+    return source?.maxZoom ?? imagery?.maxZoom ?? 18;
+}
+
+function captureZoom() {
+    const setting = currentProject?.captureZoom ?? 'view';
+    if (setting === 'view') return Math.min(map.getZoom(), currentSourceMaxZoom());
+    return setting === 'max' ? currentSourceMaxZoom() : Math.min(setting, currentSourceMaxZoom());
+}
+
+// --- Capture Limits ---
+// Mirrors the server's check, so an area above the project's limits is flagged while it
+// is drawn and can be split into chips before it is saved. The server has the final say.
+
+// Pixel size of the current source's tiles as the server stitches them
+function captureTileSize() {
+    const source = tileSources.find(s => s.url === currentTileUrl);
+    return source ? source.tileSize * (source.hiDpi ? 2 : 1) : 256;
+}
+
+// Tiles and source pixels a capture of the bounds needs at `zoom`
+function captureEstimate(bounds, zoom) {
+    const tileSize = captureTileSize();
+    const nw = map.project([bounds.north, bounds.west], zoom).multiplyBy(tileSize / 256);
+    const se = map.project([bounds.south, bounds.east], zoom).multiplyBy(tileSize / 256);
+    const cols = Math.floor((se.x - 1) / tileSize) - Math.floor(nw.x / tileSize) + 1;
+    const rows = Math.floor((se.y - 1) / tileSize) - Math.floor(nw.y / tileSize) + 1;
+    return { tiles: cols * rows, width: Math.ceil(se.x - nw.x), height: Math.ceil(se.y - nw.y) };
+}
+
+function isOversize(estimate) {
+    const { maxTiles, maxPixels } = currentProject.captureLimits;
+    return estimate.tiles > maxTiles || Math.max(estimate.width, estimate.height) > maxPixels;
+}
+
+function boundsObject(latLngBounds) {
+    return {
+        south: latLngBounds.getSouth(),
+        west: latLngBounds.getWest(),
+        north: latLngBounds.getNorth(),
+        east: latLngBounds.getEast()
+    };
+}
+
+// Red outline while the rectangle being drawn is too large for one image
+function flagOversize(layer, latLngBounds) {
+    const captured = sceneMode || !findSceneForBounds(latLngBounds);
+    const oversize = captured && isOversize(captureEstimate(boundsObject(latLngBounds), captureZoom()));
+    layer.setStyle({ color: oversize ? '#ef4444' : sceneMode ? '#ffffff' : getLabelColor(currentLabelId) });
+}
+
+// Asks before saving an area above the capture limits. Returns false to drop it;
+// otherwise `split` may be set on the payload so the server cuts the area into chips.
+function confirmCapture(payload, bounds, shape = 'rect') {
+    const { chipSettings, captureLimits } = currentProject;
+    const estimate = captureEstimate(bounds, payload.zoom);
+    if (!isOversize(estimate)) return true;
+    // Tile mode splits anyway
+    if (chipSettings.mode === 'tile' && shape !== 'obb') return true;
+
+    const summary = `This area spans ${estimate.tiles} tiles (${estimate.width}×${estimate.height} px); ` +
+        `the project allows ${captureLimits.maxTiles} tiles and ${captureLimits.maxPixels} px per side.`;
+    if (shape === 'obb') {
+        showToast(`${summary} Oriented boxes can't be split – draw a smaller one.`, 'error');
+        return false;
+    }
+    if (!confirm(`${summary}\n\nSplit it into chips of ${chipSettings.size} px?`)) return false;
+
+    payload.split = true;
+    return true;
+}
+
+// --- Box Editing ---
+
+let editingBox = null; // { id, rect, originalBounds, originalPoints, handles }
+
+function startEditBox(id) {
+    const rectData = rectangles.get(id);
+    if (!rectData) return;
+
+    if (editingBox) cancelEditBox();
+    map.closePopup();
+
+    // Drawing and editing don't mix
+    if (drawEnabled) {
+        drawEnabled = false;
+        sceneMode = false;
+        backgroundMode = false;
+        cleanup();
+        updateDrawButtonText();
+    }
+
+    editingBox = {
+        id,
+        rect: rectData.rect,
+        originalBounds: rectData.rect.getBounds(),
+        originalPoints: rectData.data.points,
+        handles: {}
+    };
+    rectData.rect.setStyle({ dashArray: '5, 5' });
+
+    // Corner handles resize against the opposite corner, the center handle moves the box.
+    // Stretching would skew an oriented box, so those can only be moved.
+    const positions = rectData.data.shape === 'obb' ? ['center'] : ['sw', 'nw', 'ne', 'se', 'center'];
+    positions.forEach(position => {
+        const handle = L.marker([0, 0], {
+            draggable: true,
+            icon: L.divIcon({
+                className: position === 'center' ? 'edit-handle edit-handle-move' : 'edit-handle',
+                iconSize: position === 'center' ? [18, 18] : [14, 14]
+            })
+        }).addTo(map);
+
+        handle.on('drag', () => onEditHandleDrag(position, handle.getLatLng()));
+        editingBox.handles[position] = handle;
+    });
+    updateEditHandles();
+
+    document.getElementById('edit-controls').style.display = 'flex';
+}
+
+function onEditHandleDrag(position, latlng) {
+    const bounds = editingBox.rect.getBounds();
+    let newBounds;
+
+    if (position === 'center') {
+        const center = bounds.getCenter();
+        const dLat = latlng.lat - center.lat;
+        const dLng = latlng.lng - center.lng;
+        newBounds = L.latLngBounds(
+            [bounds.getSouth() + dLat, bounds.getWest() + dLng],
+            [bounds.getNorth() + dLat, bounds.getEast() + dLng]
+        );
+    } else {
+        const opposite = {
+            sw: bounds.getNorthEast(),
+            nw: bounds.getSouthEast(),
+            ne: bounds.getSouthWest(),
+            se: bounds.getNorthWest()
+        }[position];
+        newBounds = L.latLngBounds(opposite, latlng);
+    }
+
+    setEditBounds(newBounds);
+    updateEditHandles(position);
+}
+
+// Rectangles take the bounds directly, outlines are scaled from their original envelope
+function setEditBounds(bounds) {
+    const { rect, originalBounds, originalPoints } = editingBox;
+    if (!originalPoints) {
+        rect.setBounds(bounds);
+        return;
+    }
+
+    const south = originalBounds.getSouth();
+    const west = originalBounds.getWest();
+    const scaleLat = (bounds.getNorth() - bounds.getSouth()) / (originalBounds.getNorth() - south);
+    const scaleLng = (bounds.getEast() - bounds.getWest()) / (originalBounds.getEast() - west);
+    rect.setLatLngs(originalPoints.map(([lat, lng]) => [
+        bounds.getSouth() + (lat - south) * scaleLat,
+        bounds.getWest() + (lng - west) * scaleLng
+    ]));
+}
+
+function updateEditHandles(skipPosition) {
+    const bounds = editingBox.rect.getBounds();
+    const positions = {
+        sw: bounds.getSouthWest(),
+        nw: bounds.getNorthWest(),
+        ne: bounds.getNorthEast(),
+        se: bounds.getSouthEast(),
+        center: bounds.getCenter()
+    };
+    Object.entries(editingBox.handles).forEach(([position, handle]) => {
+        if (position !== skipPosition) handle.setLatLng(positions[position]);
+    });
+}
+
+function endEditBox() {
+    if (!editingBox) return;
+
+    Object.values(editingBox.handles).forEach(handle => map.removeLayer(handle));
+    editingBox.rect.setStyle({ dashArray: null });
+    editingBox = null;
+
+    document.getElementById('edit-controls').style.display = 'none';
+}
+
+function cancelEditBox() {
+    if (!editingBox) return;
+    setEditBounds(editingBox.originalBounds);
+    endEditBox();
+}
+
+async function saveEditBox() {
+    if (!editingBox) return;
+
+    const { id, rect } = editingBox;
+    const box = rectangles.get(id).data;
+    // Polygons and oriented boxes are saved by their outline, rectangles by their bounds
+    const field = box.points ? 'points' : 'bounds';
+    const before = box[field];
+    const bounds = rect.getBounds();
+
+    const btn = document.getElementById('edit-save-btn');
+    btn.disabled = true;
+
+    try {
+        const updated = await requestUpdateBox(id, box.points
+            ? { points: rect.getLatLngs()[0].map(latlng => [latlng.lat, latlng.lng]) }
+            : {
+                bounds: {
+                    south: bounds.getSouth(),
+                    west: bounds.getWest(),
+                    north: bounds.getNorth(),
+                    east: bounds.getEast()
+                }
+            });
+        endEditBox();
+
+        pushHistory({
+            description: 'Edit box',
+            undo: () => requestUpdateBox(id, { [field]: before }),
+            redo: () => requestUpdateBox(id, { [field]: updated[field] })
+        });
+
+        if (typeof showToast === 'function') {
+            showToast('Box updated', 'success');
+        }
+    } catch (err) {
+        console.error('Error updating box:', err);
+        if (typeof showToast === 'function') {
+            showToast(errorMessage(err, 'Error updating box'), 'error');
+        } else {
+            alert('Error updating box');
+        }
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function relabelBox(id) {
+    const select = document.getElementById(`relabel-select-${id}`);
+    if (!select || !select.value) return;
+
+    const before = rectangles.get(id).data.labelId;
+    const after = Number(select.value);
+    if (before === after) return;
+
+    try {
+        await requestUpdateBox(id, { labelId: after });
+        map.closePopup();
+
+        pushHistory({
+            description: 'Relabel box',
+            undo: () => requestUpdateBox(id, { labelId: before }),
+            redo: () => requestUpdateBox(id, { labelId: after })
+        });
+    } catch (err) {
+        console.error(err);
+        alert('Error relabeling box');
+    }
+}
+
+async function requestUpdateBox(id, changes) {
+    const updated = await fetchJSON(`/api/boxes/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    applyBoxUpdate(updated);
+    return updated;
+}
+
+// Sync the map rectangle with the saved box (own edits and box:updated events)
+function applyBoxUpdate(box) {
+    const rectData = rectangles.get(box.id);
+    if (!rectData) return;
+
+    rectData.data = box;
+    if (box.points) {
+        rectData.rect.setLatLngs(box.points);
+    } else {
+        rectData.rect.setBounds([
+            [box.bounds.south, box.bounds.west],
+            [box.bounds.north, box.bounds.east]
+        ]);
+    }
+    rectData.rect.setStyle({ color: getLabelColor(box.labelId), dashArray: imagePending(box) ? '4, 4' : null });
+    updateStats();
+}
+
+function getLabelColor(labelId) {
+    // Teal-based color palette
+    const colors = [
+        '#14b8a6', '#f59e0b', '#8b5cf6', '#ef4444',
+        '#22c55e', '#3b82f6', '#ec4899', '#84cc16',
+        '#06b6d4', '#f97316', '#a855f7', '#10b981'
+    ];
+    return colors[(labelId - 1) % colors.length];
+}
+
+function updateStats() {
+    const statsEl = document.getElementById('stats');
+    if (!statsEl) return;
+
+    const boxCount = rectangles.size;
+    const labelIds = new Set();
+    rectangles.forEach(({ data }) => labelIds.add(data.labelId));
+
+    statsEl.innerHTML = `
+        <div class="stat">
+            <span class="stat-value">${boxCount}</span>
+            <span class="stat-label">Boxes</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${labelIds.size}</span>
+            <span class="stat-label">Labels used</span>
+        </div>
+    `;
+}
+
+// --- Undo / Redo ---
+// Per-session history of this user's annotation actions. Deletes are soft on the
+// server, so every entry can be reverted by a restore or a second update.
+
+const undoStack = [];
+const redoStack = [];
+const MAX_HISTORY = 100;
+
+function pushHistory(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+    updateHistoryButtons();
+}
+
+async function undo() {
+    await stepHistory(undoStack, redoStack, 'undo', 'Undo');
+}
+
+async function redo() {
+    await stepHistory(redoStack, undoStack, 'redo', 'Redo');
+}
+
+async function stepHistory(from, to, action, verb) {
+    const entry = from.pop();
+    if (!entry) return;
+
+    updateHistoryButtons();
+    try {
+        await entry[action]();
+        to.push(entry);
+        if (typeof showToast === 'function') {
+            showToast(`${verb}: ${entry.description}`, 'info');
+        }
+    } catch (err) {
+        // E.g. a collaborator removed the box in the meantime; the entry is dropped
+        console.error(`${verb} failed:`, err);
+        if (typeof showToast === 'function') {
+            showToast(`${verb} failed: ${entry.description}`, 'error');
+        }
+    }
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (!undoBtn || !redoBtn) return;
+
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+    undoBtn.title = undoStack.length ? `Undo ${undoStack[undoStack.length - 1].description} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = redoStack.length ? `Redo ${redoStack[redoStack.length - 1].description} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// --- GeoJSON Import ---
+
+let pendingGeoJSON = null;
+
+async function readGeoJSONFile(file) {
+    const select = document.getElementById('geojson-label-property');
+    select.innerHTML = '<option value="">-- use active label --</option>';
+    pendingGeoJSON = null;
+
+    if (!file) return;
+
+    try {
+        pendingGeoJSON = JSON.parse(await file.text());
+    } catch (err) {
+        console.error(err);
+        alert('File is not valid JSON');
+        return;
+    }
+
+    // Offer every property name that occurs in the file
+    const features = pendingGeoJSON.type === 'FeatureCollection' ? pendingGeoJSON.features : [pendingGeoJSON];
+    const keys = new Set();
+    (features || []).forEach(f => Object.keys(f.properties || {}).forEach(k => keys.add(k)));
+
+    keys.forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = key;
+        select.appendChild(opt);
+    });
+}
+
+async function importGeoJSON() {
+    if (!pendingGeoJSON) {
+        alert('Please choose a GeoJSON file first!');
+        return;
+    }
+
+    const labelProperty = document.getElementById('geojson-label-property').value;
+    if (!labelProperty && !currentLabelName) {
+        alert('Please choose a label property or select an active label!');
+        return;
+    }
+
+    const btn = document.getElementById('geojson-import-btn');
+    btn.disabled = true;
+    btn.textContent = 'Importing...';
+
+    try {
+        const result = await fetchJSON('/api/import/geojson', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                geojson: pendingGeoJSON,
+                labelProperty: labelProperty || undefined,
+                defaultLabel: currentLabelName || undefined,
+                zoom: captureZoom(),
+                tileUrl: currentTileUrl
+            })
+        });
+
+        await loadLabels();
+        await loadExistingBoxes();
+
+        const skippedText = result.skipped.length ? `, ${result.skipped.length} skipped` : '';
+        if (typeof showToast === 'function') {
+            showToast(`Imported ${result.created} box(es)${skippedText}`, 'success');
+        }
+    } catch (err) {
+        console.error(err);
+        alert('Error importing GeoJSON');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Import at capture zoom';
+    }
+}
+
+// --- Background Samples ---
+
+// Random empty chips in the visible map area at the capture zoom
+async function sampleBackground() {
+    const count = Number(document.getElementById('background-count').value);
+    const view = map.getBounds();
+
+    const btn = document.getElementById('sample-background-btn');
+    btn.disabled = true;
+    btn.textContent = 'Sampling...';
+
+    try {
+        const result = await fetchJSON('/api/scenes/background-samples', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                bounds: {
+                    south: view.getSouth(),
+                    west: view.getWest(),
+                    north: view.getNorth(),
+                    east: view.getEast()
+                },
+                count,
+                zoom: captureZoom(),
+                tileUrl: currentTileUrl
+            })
+        });
+
+        result.scenes.forEach(addSceneToMap);
+
+        const ids = result.scenes.map(scene => scene.id);
+        if (ids.length) {
+            pushHistory({
+                description: 'Sample background',
+                undo: () => Promise.all(ids.map(requestDeleteScene)),
+                redo: () => Promise.all(ids.map(requestRestoreScene))
+            });
+        }
+
+        if (typeof showToast === 'function') {
+            showToast(result.created < count
+                ? `Only ${result.created} of ${count} chip(s) fit without overlapping boxes or scenes`
+                : `Sampled ${result.created} background chip(s)`, result.created ? 'success' : 'error');
+        }
+    } catch (err) {
+        console.error(err);
+        alert('Error sampling background chips');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Sample in view';
+    }
+}
+
+// --- Tile Layer ---
+
+// Map source choices are remembered per project
+function tileStorageKey(name) {
+    return currentProject ? `${name}:${currentProject.id}` : name;
+}
+
+// Registered sources are loaded through the server's tile proxy, which adds their
+// credentials; `url` stays the source's template the server renders boxes from
+function setTileLayer(url, maxZoom = 18, attribution = '', source = null) {
+    if (currentTileLayer) {
+        map.removeLayer(currentTileLayer);
+    }
+
+    // 512px tiles cover the area of four 256px tiles one zoom level deeper
+    const largeTiles = source?.tileSize === 512;
+    currentTileLayer = L.tileLayer(source ? `/tiles/${source.id}/{z}/{x}/{y}` : url, {
+        maxZoom: maxZoom,
+        attribution: attribution,
+        tileSize: largeTiles ? 512 : 256,
+        zoomOffset: largeTiles ? -1 : 0
+    }).addTo(map);
+
+    currentTileUrl = url;
+    updateZoomDisplay();
+
+    // Save to localStorage
+    localStorage.setItem(tileStorageKey('tilePreset'), document.getElementById('tile-preset').value);
+}
+
+// Picker values: `source:<id>`, `imagery:<id>`, and for admins 'custom' / 'ogc' to add a source
+function applyTilePreset(preset) {
+    document.getElementById('custom-url-group').style.display = preset === 'custom' ? 'block' : 'none';
+    document.getElementById('ogc-group').style.display = preset === 'ogc' ? 'block' : 'none';
+
+    const imagery = imageryForPreset(preset);
+    document.getElementById('imagery-delete').style.display = imagery ? '' : 'none';
+
+    const source = tileSources.find(s => `source:${s.id}` === preset);
+    if (source) {
+        setTileLayer(source.url, source.maxZoom, source.attribution, source);
+    } else if (imagery) {
+        setTileLayer(imagery.tileUrl, 22, imagery.name);
+    } else if (preset !== 'custom' && preset !== 'ogc') {
+        // A source or imagery that was deleted meanwhile
+        const fallback = `source:${tileSources[0].id}`;
+        document.getElementById('tile-preset').value = fallback;
+        applyTilePreset(fallback);
+    }
+    // 'custom' and 'ogc' keep the current layer until the new source is added
+}
+
+// --- Tile Sources ---
+
+function renderTileSourceOptions() {
+    document.getElementById('tile-source-presets').innerHTML = tileSources
+        .map(source => `<option value="source:${source.id}">${source.name}</option>`)
+        .join('');
+}
+
+async function loadTileSources() {
+    try {
+        tileSources = await fetchJSON('/api/tile-sources');
+        renderTileSourceOptions();
+    } catch (err) {
+        console.error('Error loading tile sources:', err);
+    }
+}
+
+// Admins add the custom URLs and WMS/WMTS layers they want to use to the registry
+async function addTileSource(source) {
+    const existing = tileSources.find(s => s.url === source.url);
+    if (existing) return existing;
+
+    const created = await fetchJSON('/api/tile-sources', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(source)
+    });
+    tileSources.push(created);
+    renderTileSourceOptions();
+    return created;
+}
+
+async function useNewTileSource(source) {
+    try {
+        const created = await addTileSource(source);
+        document.getElementById('tile-preset').value = `source:${created.id}`;
+        applyTilePreset(`source:${created.id}`);
+        if (typeof showToast === 'function') {
+            showToast(`Tile source "${created.name}" is now available to everyone`, 'success');
+        }
+    } catch (err) {
+        console.error(err);
+        if (typeof showToast === 'function') {
+            showToast(`Could not add tile source: ${err.message}`, 'error');
+        }
+    }
+}
+
+function addCustomTileSource() {
+    const url = document.getElementById('custom-tile-url').value.trim();
+    const name = document.getElementById('custom-tile-name').value.trim();
+    if (url) {
+        useNewTileSource({ name: name || url, url });
+    }
+}
+
+// --- Uploaded Imagery ---
+
+let imageryList = [];
+
+function imageryForPreset(preset) {
+    return imageryList.find(imagery => `imagery:${imagery.id}` === preset) || null;
+}
+
+function renderImageryPresets() {
+    document.getElementById('imagery-presets').innerHTML = imageryList
+        .map(imagery => `<option value="imagery:${imagery.id}">${imagery.name}</option>`)
+        .join('');
+}
+
+async function loadImagery() {
+    try {
+        imageryList = await fetchJSON('/api/imagery');
+        renderImageryPresets();
+    } catch (err) {
+        console.error('Error loading imagery:', err);
+    }
+}
+
+function showImagery(imagery) {
+    document.getElementById('tile-preset').value = `imagery:${imagery.id}`;
+    applyTilePreset(`imagery:${imagery.id}`);
+    const { south, west, north, east } = imagery.bounds;
+    map.fitBounds([[south, west], [north, east]]);
+}
+
+async function uploadImagery() {
+    const input = document.getElementById('imagery-file');
+    const file = input.files[0];
+    if (!file) return;
+
+    const btn = document.getElementById('imagery-upload');
+    btn.disabled = true;
+    btn.textContent = 'Uploading...';
+
+    try {
+        const imagery = await fetchJSON(`/api/imagery?name=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+
+        handleImageryCreated(imagery);
+        showImagery(imagery);
+        input.value = '';
+    } catch (err) {
+        console.error(err);
+        if (typeof showToast === 'function') {
+            showToast('Could not read this file as GeoTIFF or MBTiles', 'error');
+        }
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Upload';
+    }
+}
+
+async function deleteImagery() {
+    const imagery = imageryForPreset(document.getElementById('tile-preset').value);
+    if (!imagery || !confirm(`Delete the imagery "${imagery.name}"? Boxes drawn on it keep their images.`)) return;
+
+    try {
+        await fetchJSON(`/api/imagery/${imagery.id}`, { method: 'DELETE' });
+        handleImageryDeleted(imagery.id);
+    } catch (err) {
+        console.error(err);
+        if (typeof showToast === 'function') {
+            showToast('Error deleting imagery', 'error');
+        }
+    }
+}
+
+function handleImageryCreated(imagery) {
+    if (imageryList.some(i => i.id === imagery.id)) return;
+    imageryList.push(imagery);
+    renderImageryPresets();
+}
+
+function handleImageryDeleted(id) {
+    const preset = document.getElementById('tile-preset').value;
+    imageryList = imageryList.filter(i => i.id !== id);
+    renderImageryPresets();
+    if (preset === `imagery:${id}`) {
+        applyTilePreset(preset); // falls back to the first tile source
+    }
+}
+
+// --- WMS / WMTS ---
 
-function getLabelColor(labelId) {
-    // Teal-based color palette
-    const colors = [
-        '#14b8a6', '#f59e0b', '#8b5cf6', '#ef4444',
-        '#22c55e', '#3b82f6', '#ec4899', '#84cc16',
-        '#06b6d4', '#f97316', '#a855f7', '#10b981'
-    ];
-    return colors[(labelId - 1) % colors.length];
+let ogcCapabilities = null;
+
+function fillSelect(select, values) {
+    select.innerHTML = values.map(value => `<option value="${value}">${value || '(default)'}</option>`).join('');
 }
 
-function updateStats() {
-    const statsEl = document.getElementById('stats');
-    if (!statsEl) return;
+async function loadOgcLayers() {
+    const type = document.getElementById('ogc-type').value;
+    const url = document.getElementById('ogc-url').value.trim();
+    if (!url) return;
 
-    const boxCount = rectangles.size;
-    const labelIds = new Set();
-    rectangles.forEach(({ data }) => labelIds.add(data.labelId));
+    const btn = document.getElementById('ogc-load');
+    btn.disabled = true;
+    btn.textContent = 'Loading...';
 
-    statsEl.innerHTML = `
-        <div class="stat">
-            <span class="stat-value">${boxCount}</span>
-            <span class="stat-label">Boxes</span>
-        </div>
-        <div class="stat">
-            <span class="stat-value">${labelIds.size}</span>
-            <span class="stat-label">Labels used</span>
-        </div>
-    `;
-}
+    try {
+        ogcCapabilities = await fetchJSON(`/api/ogc/capabilities?${new URLSearchParams({ type, url })}`);
 
-// --- Tile Layer ---
+        const layerSelect = document.getElementById('ogc-layer');
+        layerSelect.innerHTML = ogcCapabilities.layers
+            .map(layer => `<option value="${layer.name}">${layer.title}</option>`)
+            .join('');
 
-function setTileLayer(url, maxZoom = 18, attribution = '') {
-    if (currentTileLayer) {
-        map.removeLayer(currentTileLayer);
+        updateOgcLayerOptions();
+
+        document.getElementById('ogc-options').style.display = 'block';
+    } catch (err) {
+        console.error(err);
+        if (typeof showToast === 'function') {
+            showToast(`Could not load ${type.toUpperCase()} capabilities`, 'error');
+        }
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Load layers';
     }
+}
 
-    currentTileLayer = L.tileLayer(url, {
-        maxZoom: maxZoom,
-        attribution: attribution
-    }).addTo(map);
+// Style, format, matrix set and time choices of the selected layer
+function updateOgcLayerOptions() {
+    const layer = ogcCapabilities.layers.find(l => l.name === document.getElementById('ogc-layer').value);
+    const isWmts = ogcCapabilities.type === 'wmts';
 
-    currentTileUrl = url;
+    fillSelect(document.getElementById('ogc-style'), layer.styles.length ? layer.styles : ['']);
+    fillSelect(document.getElementById('ogc-format'), layer.formats || ogcCapabilities.formats);
 
-    // Save to localStorage
-    localStorage.setItem('tilePreset', document.getElementById('tile-preset').value);
-    localStorage.setItem('customTileUrl', url);
+    document.getElementById('ogc-matrix-group').style.display = isWmts ? 'block' : 'none';
+    if (isWmts) fillSelect(document.getElementById('ogc-matrix-set'), layer.tileMatrixSets);
+
+    document.getElementById('ogc-time-group').style.display = layer.time ? 'block' : 'none';
+    document.getElementById('ogc-time-values').innerHTML = (layer.time?.values || [])
+        .map(value => `<option value="${value}"></option>`)
+        .join('');
+    document.getElementById('ogc-time').value = '';
 }
 
-function applyTilePreset(preset) {
-    const customGroup = document.getElementById('custom-url-group');
+async function applyOgcLayer() {
+    const source = {
+        type: document.getElementById('ogc-type').value,
+        url: document.getElementById('ogc-url').value.trim(),
+        layer: document.getElementById('ogc-layer').value,
+        style: document.getElementById('ogc-style').value,
+        format: document.getElementById('ogc-format').value,
+        tileMatrixSet: ogcCapabilities.type === 'wmts' ? document.getElementById('ogc-matrix-set').value : undefined,
+        time: document.getElementById('ogc-time').value.trim() || undefined
+    };
 
-    if (preset === 'custom') {
-        customGroup.style.display = 'block';
-        const customUrl = document.getElementById('custom-tile-url').value;
-        if (customUrl) {
-            setTileLayer(customUrl, 18, 'Custom Tiles');
-        }
-    } else {
-        customGroup.style.display = 'none';
-        const config = TILE_PRESETS[preset];
-        if (config) {
-            setTileLayer(config.url, config.maxZoom, config.attribution);
+    try {
+        const result = await fetchJSON('/api/ogc/tile-url', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(source)
+        });
+
+        const name = source.time ? `${result.title} (${source.time})` : result.title;
+        await useNewTileSource({ name, url: result.tileUrl, maxZoom: result.maxZoom });
+    } catch (err) {
+        console.error(err);
+        if (typeof showToast === 'function') {
+            showToast('Could not use this layer', 'error');
         }
     }
 }
 
 // --- Drawing ---
 
+function canDraw() {
+    return drawEnabled && (sceneMode || currentLabelId);
+}
+
 function updateDrawButtonText() {
     const btn = document.getElementById('toggle-draw');
+    const sceneBtn = document.getElementById('toggle-scene');
+    const backgroundBtn = document.getElementById('toggle-background');
     const mapEl = document.getElementById('map');
 
+    sceneBtn.classList.toggle('active', sceneMode && !backgroundMode);
+    backgroundBtn.classList.toggle('active', backgroundMode);
+
     if (drawEnabled) {
-        btn.textContent = '✏️ Draw ON';
-        btn.classList.add('active');
+        btn.textContent = sceneMode ? '✏️ Draw OFF' : '✏️ Draw ON';
+        btn.classList.toggle('active', !sceneMode);
         mapEl.classList.add('drawing-mode');
         if (map) {
             map.dragging.disable();
@@ -293,7 +1269,12 @@ function updateDrawButtonText() {
 
         // Show hint on touch devices
         if ('ontouchstart' in window && typeof showToast === 'function') {
-            showToast('Touch & drag to draw a box', 'info');
+            const hint = backgroundMode ? 'Touch & drag over empty terrain'
+                : sceneMode ? 'Touch & drag to draw a scene'
+                : shapeMode === 'rect' ? 'Touch & drag to draw a box'
+                : shapeMode === 'polygon' ? 'Tap the corners, tap the first one again to finish'
+                : 'Tap two corners of one side, then tap the box width';
+            showToast(hint, 'info');
         }
     } else {
         btn.textContent = '✏️ Draw OFF';
@@ -336,23 +1317,20 @@ function initMap() {
         zoom: 8
     });
 
-    // Default Tile Layer (Sentinel-2)
-    const savedPreset = localStorage.getItem('tilePreset') || 'sentinel';
+    // Default Tile Layer: the last choice in this project, else the project's source, else the first one
+    const projectTileUrl = currentProject?.tileUrl;
+    const projectSource = tileSources.find(s => s.url === projectTileUrl);
+    const projectImagery = imageryList.find(i => i.tileUrl === projectTileUrl);
+    const projectPreset = projectSource ? `source:${projectSource.id}`
+        : projectImagery ? `imagery:${projectImagery.id}`
+            : `source:${tileSources[0].id}`;
+    const savedPreset = localStorage.getItem(tileStorageKey('tilePreset'));
     const presetSelect = document.getElementById('tile-preset');
     presetSelect.value = savedPreset;
-
-    if (savedPreset === 'custom') {
-        const customUrl = localStorage.getItem('customTileUrl');
-        if (customUrl) {
-            document.getElementById('custom-tile-url').value = customUrl;
-            document.getElementById('custom-url-group').style.display = 'block';
-            setTileLayer(customUrl, 18, 'Custom Tiles');
-        } else {
-            applyTilePreset('sentinel');
-        }
-    } else {
-        applyTilePreset(savedPreset);
+    if (presetSelect.value !== savedPreset || ['custom', 'ogc'].includes(savedPreset)) {
+        presetSelect.value = projectPreset;
     }
+    applyTilePreset(presetSelect.value);
 
     // Update zoom level display
     map.on('zoomend', updateZoomDisplay);
@@ -360,7 +1338,8 @@ function initMap() {
 
     // --- Mouse events for drawing boxes ---
     map.on('mousedown', (e) => {
-        if (!drawEnabled || !currentLabelId) return;
+        if (!canDraw()) return;
+        if (!sceneMode && shapeMode !== 'rect') return;
 
         // Only left mouse button
         if (e.originalEvent.button !== 0) return;
@@ -369,10 +1348,10 @@ function initMap() {
 
         // Create temporary rectangle (visible while dragging)
         tempRect = L.rectangle([startLatLng, startLatLng], {
-            color: getLabelColor(currentLabelId),
+            color: sceneMode ? '#ffffff' : getLabelColor(currentLabelId),
             weight: 2,
             dashArray: '5, 5',
-            fillOpacity: 0.3
+            fillOpacity: sceneMode ? 0.1 : 0.3
         }).addTo(map);
     });
 
@@ -381,6 +1360,10 @@ function initMap() {
         if (startLatLng && tempRect) {
             const bounds = L.latLngBounds(startLatLng, e.latlng);
             tempRect.setBounds(bounds);
+            flagOversize(tempRect, bounds);
+        }
+        if (shapePoints.length) {
+            updateShapePreview(e.latlng);
         }
 
         // Send cursor position to other users (throttled)
@@ -397,6 +1380,18 @@ function initMap() {
         await finishDrawing(e.latlng);
     });
 
+    // Polygons and oriented boxes are drawn by clicking their corners
+    map.on('click', (e) => {
+        if (!canDraw() || sceneMode || shapeMode === 'rect') return;
+        addShapeVertex(e.latlng);
+    });
+
+    map.on('dblclick', () => {
+        if (shapeMode === 'polygon' && shapePoints.length >= 3) {
+            finishShape(shapePoints);
+        }
+    });
+
     // --- Touch events for mobile ---
     const mapContainer = document.getElementById('map');
 
@@ -404,7 +1399,7 @@ function initMap() {
         // Don't intercept touches on map controls (buttons, etc.)
         if (e.target.closest('#map-controls')) return;
         
-        if (!drawEnabled || !currentLabelId) return;
+        if (!canDraw()) return;
         if (e.touches.length !== 1) return; // Only single touch
 
         e.preventDefault();
@@ -416,14 +1411,20 @@ function initMap() {
             touch.clientX - rect.left,
             touch.clientY - rect.top
         );
+
+        if (!sceneMode && shapeMode !== 'rect') {
+            addShapeVertex(map.containerPointToLatLng(containerPoint));
+            return;
+        }
+
         startLatLng = map.containerPointToLatLng(containerPoint);
         lastTouchLatLng = startLatLng; // Initialize last position
 
         tempRect = L.rectangle([startLatLng, startLatLng], {
-            color: getLabelColor(currentLabelId),
+            color: sceneMode ? '#ffffff' : getLabelColor(currentLabelId),
             weight: 2,
             dashArray: '5, 5',
-            fillOpacity: 0.3
+            fillOpacity: sceneMode ? 0.1 : 0.3
         }).addTo(map);
     }, { passive: false });
 
@@ -448,6 +1449,7 @@ function initMap() {
 
         const bounds = L.latLngBounds(startLatLng, latlng);
         tempRect.setBounds(bounds);
+        flagOversize(tempRect, bounds);
     }, { passive: false });
 
     mapContainer.addEventListener('touchend', async (e) => {
@@ -496,8 +1498,8 @@ function initMap() {
         lastTouchLatLng = null;
     }, { passive: false });
 
-    // Load all existing boxes on startup
-    loadExistingBoxes();
+    // Load all existing scenes and boxes on startup
+    loadExistingScenes().then(loadExistingBoxes);
 }
 
 // Helper function to complete drawing (shared by mouse and touch)
@@ -519,9 +1521,17 @@ async function finishDrawing(endLatLng) {
         return;
     }
 
-    const currentZoom = map.getZoom();
+    const currentZoom = captureZoom();
 
-    const payload = {
+    if (sceneMode) {
+        await saveScene(finalBounds, currentZoom);
+        return;
+    }
+
+    // Boxes drawn inside a scene annotate that scene's image
+    const scene = findSceneForBounds(finalBounds);
+
+    await saveBox({
         labelId: currentLabelId,
         labelName: currentLabelName,
         bounds: {
@@ -531,8 +1541,108 @@ async function finishDrawing(endLatLng) {
             east: ne.lng
         },
         zoom: currentZoom,
-        tileUrl: currentTileUrl
-    };
+        tileUrl: currentTileUrl,
+        sceneId: scene ? scene.id : undefined
+    });
+}
+
+// Place the next corner of a polygon or oriented box
+function addShapeVertex(latlng) {
+    const point = map.latLngToLayerPoint(latlng);
+
+    // A double click lands twice on the same spot
+    if (shapePoints.length &&
+        point.distanceTo(map.latLngToLayerPoint(shapePoints[shapePoints.length - 1])) < 4) {
+        return;
+    }
+
+    // Clicking the first vertex closes the polygon
+    if (shapeMode === 'polygon' && shapePoints.length >= 3 &&
+        point.distanceTo(map.latLngToLayerPoint(shapePoints[0])) < 10) {
+        finishShape(shapePoints);
+        return;
+    }
+
+    shapePoints.push(latlng);
+
+    if (shapeMode === 'obb' && shapePoints.length === 3) {
+        finishShape(obbCorners(...shapePoints));
+        return;
+    }
+    updateShapePreview(latlng);
+}
+
+// Oriented box from one edge (a → b) and a third point giving its width
+function obbCorners(a, b, c) {
+    const pa = map.latLngToLayerPoint(a);
+    const pb = map.latLngToLayerPoint(b);
+    const pc = map.latLngToLayerPoint(c);
+
+    const edge = pb.subtract(pa);
+    const length = Math.hypot(edge.x, edge.y);
+    const normal = L.point(-edge.y / length, edge.x / length);
+    const width = (pc.x - pa.x) * normal.x + (pc.y - pa.y) * normal.y;
+    const offset = normal.multiplyBy(width);
+
+    return [pa, pb, pb.add(offset), pa.add(offset)].map(p => map.layerPointToLatLng(p));
+}
+
+function updateShapePreview(cursor) {
+    let latlngs = [...shapePoints, cursor];
+    if (shapeMode === 'obb' && shapePoints.length === 2) {
+        latlngs = obbCorners(shapePoints[0], shapePoints[1], cursor);
+    }
+
+    if (tempShape) {
+        tempShape.setLatLngs(latlngs);
+    } else {
+        tempShape = L.polygon(latlngs, {
+            color: getLabelColor(currentLabelId),
+            weight: 2,
+            dashArray: '5, 5',
+            fillOpacity: 0.3,
+            interactive: false
+        }).addTo(map);
+    }
+}
+
+async function finishShape(latlngs) {
+    // The preview goes away right away so the next shape can be started
+    cleanup();
+
+    const [, b, c] = latlngs.map(latlng => map.latLngToLayerPoint(latlng));
+    if (shapeMode === 'obb' && b.distanceTo(c) < 4) {
+        console.log('Box too small, ignoring');
+        return;
+    }
+
+    const scene = findSceneForBounds(L.latLngBounds(latlngs));
+
+    await saveBox({
+        labelId: currentLabelId,
+        labelName: currentLabelName,
+        shape: shapeMode,
+        points: latlngs.map(latlng => [latlng.lat, latlng.lng]),
+        zoom: captureZoom(),
+        tileUrl: currentTileUrl,
+        sceneId: scene ? scene.id : undefined
+    });
+}
+
+async function saveBox(payload) {
+    if (payload.sceneId && scenes.get(payload.sceneId).data.background) {
+        if (typeof showToast === 'function') {
+            showToast('Background chips cannot hold boxes', 'error');
+        }
+        cleanup();
+        return;
+    }
+
+    const bounds = payload.bounds || boundsObject(L.latLngBounds(payload.points));
+    if (!payload.sceneId && !confirmCapture(payload, bounds, payload.shape)) {
+        cleanup();
+        return;
+    }
 
     try {
         const saved = await fetchJSON('/api/boxes', {
@@ -542,21 +1652,25 @@ async function finishDrawing(endLatLng) {
         });
 
         // Convert temporary rectangle to permanent one
+        // (the server clips boxes to their scene, so the saved geometry is used)
         if (tempRect) {
             map.removeLayer(tempRect);
         }
 
-        const rect = L.rectangle([sw, ne], {
-            color: getLabelColor(currentLabelId),
-            weight: 2,
-            fillOpacity: 0.2
-        }).addTo(map);
+        // Larger than one chip in tile mode: the box was split over new chip scenes
+        if (saved.tiled) {
+            addTiledScenes(saved, 'Draw box');
+            cleanup();
+            return;
+        }
 
-        const popupContent = createPopupContent(saved);
-        rect.bindPopup(popupContent);
+        addBoxToMap(saved);
 
-        rectangles.set(saved.id, { rect, data: saved });
-        updateStats();
+        pushHistory({
+            description: 'Draw box',
+            undo: () => requestDeleteBox(saved.id),
+            redo: () => requestRestoreBox(saved.id)
+        });
 
         // Show success feedback on mobile
         if ('ontouchstart' in window && typeof showToast === 'function') {
@@ -568,7 +1682,7 @@ async function finishDrawing(endLatLng) {
     } catch (err) {
         console.error('Error saving box:', err);
         if (typeof showToast === 'function') {
-            showToast('Error saving box', 'error');
+            showToast(errorMessage(err, 'Error saving box'), 'error');
         } else {
             alert('Error saving box');
         }
@@ -576,20 +1690,102 @@ async function finishDrawing(endLatLng) {
     }
 }
 
+async function saveScene(bounds, zoom) {
+    const payload = {
+        bounds: boundsObject(bounds),
+        zoom,
+        tileUrl: currentTileUrl,
+        background: backgroundMode
+    };
+    if (!confirmCapture(payload, payload.bounds)) {
+        cleanup();
+        return;
+    }
+
+    try {
+        const saved = await fetchJSON('/api/scenes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+
+        if (saved.tiled) {
+            addTiledScenes(saved, 'Draw scene');
+            cleanup();
+            return;
+        }
+
+        addSceneToMap(saved);
+
+        pushHistory({
+            description: 'Draw scene',
+            undo: () => requestDeleteScene(saved.id),
+            redo: () => requestRestoreScene(saved.id)
+        });
+
+        if (typeof showToast === 'function') {
+            showToast(saved.background
+                ? `Background chip #${saved.id} saved`
+                : `Scene #${saved.id} saved – draw boxes inside it`, 'success');
+        }
+    } catch (err) {
+        console.error('Error saving scene:', err);
+        if (typeof showToast === 'function') {
+            showToast(errorMessage(err, 'Error saving scene'), 'error');
+        } else {
+            alert('Error saving scene');
+        }
+    }
+    cleanup();
+}
+
+// Chip scenes (and the parts of a box) from a drawing split in tile mode; undone together,
+// deleting the scenes takes their boxes with them
+function addTiledScenes(saved, description) {
+    saved.scenes.forEach(addSceneToMap);
+    (saved.boxes || []).forEach(addBoxToMap);
+
+    const ids = saved.scenes.map(scene => scene.id);
+    pushHistory({
+        description,
+        undo: () => Promise.all(ids.map(requestDeleteScene)),
+        redo: () => Promise.all(ids.map(requestRestoreScene))
+    });
+
+    if (typeof showToast === 'function') {
+        showToast(`Split into ${ids.length} chip(s) of the project's chip size`, 'success');
+    }
+}
+
 // Cleanup drawing state
 function cleanup() {
     if (tempRect && map) {
         map.removeLayer(tempRect);
     }
+    if (tempShape && map) {
+        map.removeLayer(tempShape);
+    }
     tempRect = null;
+    tempShape = null;
+    shapePoints = [];
     startLatLng = null;
     lastTouchLatLng = null;
 }
 
+function setShapeMode(shape) {
+    cleanup();
+    shapeMode = shape;
+    document.querySelectorAll('.shape-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.shape === shape);
+    });
+}
+
+// Shows the capture zoom next to the map zoom when captures render at another level
 function updateZoomDisplay() {
     const zoomEl = document.getElementById('current-zoom');
     if (zoomEl) {
-        zoomEl.textContent = map.getZoom();
+        const capture = captureZoom();
+        zoomEl.textContent = capture === map.getZoom() ? map.getZoom() : `${map.getZoom()} (capture ${capture})`;
     }
 }
 
@@ -603,10 +1799,46 @@ function initUI() {
                 alert('Please select a label first!');
                 return;
             }
-            drawEnabled = !drawEnabled;
+            cancelEditBox();
+            cleanup();
+            // Switching from scene mode goes straight to box drawing
+            drawEnabled = sceneMode || !drawEnabled;
+            sceneMode = false;
+            backgroundMode = false;
+            updateDrawButtonText();
+        });
+
+    document.querySelectorAll('.shape-btn').forEach(btn => {
+        btn.addEventListener('click', () => setShapeMode(btn.dataset.shape));
+    });
+
+    document
+        .getElementById('toggle-scene')
+        .addEventListener('click', () => {
+            cancelEditBox();
+            cleanup();
+            // Switching from background mode goes straight to scene drawing
+            sceneMode = backgroundMode || !sceneMode;
+            backgroundMode = false;
+            drawEnabled = sceneMode;
+            updateDrawButtonText();
+        });
+
+    document
+        .getElementById('toggle-background')
+        .addEventListener('click', () => {
+            cancelEditBox();
+            cleanup();
+            backgroundMode = !backgroundMode;
+            sceneMode = backgroundMode;
+            drawEnabled = sceneMode;
             updateDrawButtonText();
         });
 
+    document
+        .getElementById('sample-background-btn')
+        .addEventListener('click', sampleBackground);
+
     document
         .getElementById('add-label-btn')
         .addEventListener('click', addLabel);
@@ -626,7 +1858,7 @@ function initUI() {
                 currentLabelId = null;
                 currentLabelName = null;
                 // Disable drawing when no label selected
-                if (drawEnabled) {
+                if (drawEnabled && !sceneMode) {
                     drawEnabled = false;
                     updateDrawButtonText();
                 }
@@ -639,32 +1871,82 @@ function initUI() {
             updateActiveLabelDisplay();
         });
 
+    // GeoJSON import
+    document
+        .getElementById('geojson-file')
+        .addEventListener('change', (e) => readGeoJSONFile(e.target.files[0]));
+
+    document
+        .getElementById('geojson-import-btn')
+        .addEventListener('click', importGeoJSON);
+
+    // Undo / redo
+    document
+        .getElementById('undo-btn')
+        .addEventListener('click', undo);
+
+    document
+        .getElementById('redo-btn')
+        .addEventListener('click', redo);
+
+    document.addEventListener('keydown', (e) => {
+        // Escape drops a half-drawn polygon or oriented box
+        if (e.key === 'Escape' && shapePoints.length) {
+            cleanup();
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (e.target.closest('input, select, textarea')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryButtons();
+
+    // Box editing
+    document
+        .getElementById('edit-save-btn')
+        .addEventListener('click', saveEditBox);
+
+    document
+        .getElementById('edit-cancel-btn')
+        .addEventListener('click', cancelEditBox);
+
     // Tile preset
     document
         .getElementById('tile-preset')
         .addEventListener('change', (e) => {
-            applyTilePreset(e.target.value);
+            const imagery = imageryForPreset(e.target.value);
+            if (imagery) showImagery(imagery);
+            else applyTilePreset(e.target.value);
         });
 
-    // Custom tile URL
+    // WMS / WMTS
+    document.getElementById('ogc-load').addEventListener('click', loadOgcLayers);
+    document.getElementById('ogc-layer').addEventListener('change', () => updateOgcLayerOptions());
+    document.getElementById('ogc-apply').addEventListener('click', applyOgcLayer);
+
+    // Uploaded imagery
+    document.getElementById('imagery-upload').addEventListener('click', uploadImagery);
+    document.getElementById('imagery-delete').addEventListener('click', deleteImagery);
+
+    // Custom tile URL (admins)
     document
         .getElementById('apply-tile-url')
-        .addEventListener('click', () => {
-            const url = document.getElementById('custom-tile-url').value.trim();
-            if (url) {
-                setTileLayer(url, 18, 'Custom Tiles');
-            }
-        });
+        .addEventListener('click', addCustomTileSource);
 
     document
         .getElementById('custom-tile-url')
         .addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                const url = e.target.value.trim();
-                if (url) {
-                    setTileLayer(url, 18, 'Custom Tiles');
-                }
-            }
+            if (e.key === 'Enter') addCustomTileSource();
         });
 
     updateDrawButtonText();
@@ -686,7 +1968,17 @@ async function init() {
         document.getElementById('db-link').style.display = '';
     }
 
+    // Without a project there is nothing to label; the switcher shows a hint
+    currentProject = await initProjectSwitcher();
+    if (!currentProject) return;
+
+    // Adding sources is for admins; everyone else picks from the registry
+    if (currentUser.role !== 'admin') {
+        document.getElementById('tile-source-admin').remove();
+    }
+
     initUI();
+    await Promise.all([loadTileSources(), loadImagery()]);
     initMap();
     await loadLabels();
 
@@ -703,6 +1995,15 @@ function handleLabelCreated(label) {
     // Check if this label was created by us (to avoid duplicates)
     if (currentUser && label.userId === currentUser.id) return;
 
+    addLabelToUI(label);
+}
+
+// Handle label restored by undo (ours or another user's)
+function handleLabelRestored(label) {
+    addLabelToUI(label);
+}
+
+function addLabelToUI(label) {
     const select = document.getElementById('label-select');
 
     // Check if already exists
@@ -753,7 +2054,7 @@ function handleLabelDeleted(labelId) {
         currentLabelId = null;
         currentLabelName = null;
         select.value = '';
-        if (drawEnabled) {
+        if (drawEnabled && !sceneMode) {
             drawEnabled = false;
             updateDrawButtonText();
         }
@@ -765,31 +2066,57 @@ function handleBoxCreated(box) {
     // Check if this box was created by us
     if (currentUser && box.userId === currentUser.id) return;
 
-    // Check if already exists
-    if (rectangles.has(box.id)) return;
-
-    const sw = L.latLng(box.bounds.south, box.bounds.west);
-    const ne = L.latLng(box.bounds.north, box.bounds.east);
-    const rect = L.rectangle([sw, ne], {
-        color: getLabelColor(box.labelId),
-        weight: 2,
-        fillOpacity: 0.2
-    }).addTo(map);
-
-    const popupContent = createPopupContent(box);
-    rect.bindPopup(popupContent);
+    addBoxToMap(box);
+}
 
-    rectangles.set(box.id, { rect, data: box });
-    updateStats();
+// Handle box restored by undo (ours or another user's)
+function handleBoxRestored(box) {
+    addBoxToMap(box);
 }
 
 // Handle box deleted by other user
 function handleBoxDeleted(boxId) {
-    const rectData = rectangles.get(boxId);
-    if (rectData) {
-        map.removeLayer(rectData.rect);
-        rectangles.delete(boxId);
-        updateStats();
+    removeBoxFromMap(boxId);
+}
+
+// Handle scene created by other user
+function handleSceneCreated(scene) {
+    if (currentUser && scene.userId === currentUser.id) return;
+    if (scenes.has(scene.id)) return;
+
+    addSceneToMap(scene);
+}
+
+// Handle scene restored by undo (its boxes arrive as separate box:restored events)
+function handleSceneRestored(scene) {
+    if (scenes.has(scene.id)) return;
+
+    addSceneToMap(scene);
+}
+
+// Handle scene deleted (its boxes arrive as separate box:deleted events)
+function handleSceneDeleted(sceneId) {
+    const sceneData = scenes.get(sceneId);
+    if (sceneData) {
+        map.removeLayer(sceneData.rect);
+        scenes.delete(sceneId);
+    }
+}
+
+// Handle box updated (moved, resized or relabeled)
+function handleBoxUpdated(box) {
+    // Someone else changed the box we are editing: their version wins
+    if (editingBox && editingBox.id === box.id) {
+        endEditBox();
+    }
+    applyBoxUpdate(box);
+}
+
+// Handle project settings changed by an admin (chip settings, capture limits and zoom apply to new drawings)
+function handleProjectUpdated(project) {
+    if (currentProject && project.id === currentProject.id) {
+        currentProject = project;
+        updateZoomDisplay();
     }
 }
 
@@ -834,14 +2161,27 @@ function stringToColor(str) {
     return `hsl(${hue}, 60%, 45%)`;
 }
 
-// Global function for popup button
+// Global functions for popup buttons
 window.deleteBox = deleteBox;
+window.startEditBox = startEditBox;
+window.relabelBox = relabelBox;
+window.deleteScene = deleteScene;
 
 // Export handlers for socket.js
 window.handleLabelCreated = handleLabelCreated;
 window.handleLabelDeleted = handleLabelDeleted;
 window.handleBoxCreated = handleBoxCreated;
 window.handleBoxDeleted = handleBoxDeleted;
+window.handleBoxUpdated = handleBoxUpdated;
+window.handleBoxRestored = handleBoxRestored;
+window.handleLabelRestored = handleLabelRestored;
+window.handleSceneRestored = handleSceneRestored;
+window.handleSceneCreated = handleSceneCreated;
+window.handleSceneDeleted = handleSceneDeleted;
 window.handleCursorUpdate = handleCursorUpdate;
+window.handleImageProgress = handleImageProgress;
+window.handleProjectUpdated = handleProjectUpdated;
+window.handleBoxImageReady = handleBoxImageReady;
+window.handleSceneImageReady = handleSceneImageReady;
 
 document.addEventListener('DOMContentLoaded', init);
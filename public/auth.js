@@ -82,6 +82,54 @@ function updateUserUI(user) {
     }
 }
 
+// --- Projects ---
+// The selected project lives in a cookie, so API calls, downloads and export
+// links are scoped to it without extra parameters.
+
+function getCurrentProjectId() {
+    const match = document.cookie.match(/(?:^|; )project=(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+function setCurrentProjectId(id) {
+    document.cookie = `project=${id}; path=/; max-age=${365 * 24 * 60 * 60}; samesite=lax`;
+}
+
+// Fill the topbar project switcher and return the current project (or null)
+async function initProjectSwitcher() {
+    const container = document.getElementById('project-switcher');
+
+    let data;
+    try {
+        const res = await fetch('/api/projects');
+        if (!res.ok) return null;
+        data = await res.json();
+    } catch {
+        return null;
+    }
+
+    const current = data.projects.find(p => p.id === data.currentId) || null;
+    if (current) setCurrentProjectId(current.id);
+
+    if (container) {
+        if (!current) {
+            container.innerHTML = '<span class="project-none">No project – ask an admin for access</span>';
+        } else {
+            container.innerHTML = `
+                <select id="project-select" class="project-select" title="Switch project">
+                    ${data.projects.map(p => `<option value="${p.id}" ${p.id === current.id ? 'selected' : ''}>${p.name}</option>`).join('')}
+                </select>
+            `;
+            container.querySelector('select').addEventListener('change', (e) => {
+                setCurrentProjectId(e.target.value);
+                window.location.reload();
+            });
+        }
+    }
+
+    return current;
+}
+
 // Show toast notification
 function showToast(message, isError = false) {
     const existing = document.querySelector('.toast');
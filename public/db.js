@@ -17,7 +17,7 @@ async function loadDB() {
 }
 
 async function resetDB() {
-    if (!confirm('Really delete all data? This action cannot be undone!')) {
+    if (!confirm('Really delete all labels, boxes and scenes of this project? This action cannot be undone!')) {
         return;
     }
 
@@ -33,7 +33,103 @@ async function resetDB() {
         }
 
         await loadDB();
-        showToastLocal('Database reset successfully!', 'success');
+        showToastLocal('Project reset successfully!', 'success');
+    } catch (err) {
+        console.error(err);
+        showToastLocal('Error: ' + err.message, 'error');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Permanently remove all deleted boxes, scenes and labels? They can no longer be restored by undo.')) {
+        return;
+    }
+
+    try {
+        const res = await fetch('/api/admin/trash', {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Emptying trash failed');
+        }
+
+        const data = await res.json();
+        await loadDB();
+        showToastLocal(`Removed ${data.boxes} box(es), ${data.scenes} scene(s), ${data.labels} label(s)`, 'success');
+    } catch (err) {
+        console.error(err);
+        showToastLocal('Error: ' + err.message, 'error');
+    }
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+async function loadTileCache() {
+    try {
+        const res = await fetch('/api/admin/tile-cache', { credentials: 'include' });
+        if (!res.ok) {
+            throw new Error('Failed to load tile cache');
+        }
+
+        const stats = await res.json();
+
+        document.getElementById('cache-entries').textContent = stats.entries;
+        document.getElementById('cache-size').textContent = formatBytes(stats.bytes);
+        document.getElementById('cache-size-text').textContent = `of ${formatBytes(stats.maxBytes)}`;
+        document.getElementById('cache-hit-rate').textContent = `${Math.round(stats.hitRate * 100)}%`;
+        document.getElementById('cache-hit-text').textContent =
+            `${stats.hits} hits · ${stats.misses} misses · ${stats.evictions} evicted`;
+
+        const tbody = document.getElementById('cache-sources');
+        if (stats.sources.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="no-data">Cache is empty</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = stats.sources.map(source => `
+            <tr>
+                <td><code>${source.key}</code></td>
+                <td class="cache-url">${source.tileUrl || '-'}</td>
+                <td>${source.entries}</td>
+                <td>${formatBytes(source.bytes)}</td>
+                <td><button class="delete-user-btn" onclick="purgeTileCache('${source.key}')">Purge</button></td>
+            </tr>
+        `).join('');
+    } catch (err) {
+        console.error(err);
+        showToastLocal('Error loading tile cache', 'error');
+    }
+}
+
+async function purgeTileCache(sourceKey) {
+    const message = sourceKey
+        ? 'Remove all cached tiles of this source?'
+        : 'Remove all cached tiles?';
+    if (!confirm(message)) return;
+
+    try {
+        const url = sourceKey ? `/api/admin/tile-cache?source=${sourceKey}` : '/api/admin/tile-cache';
+        const res = await fetch(url, { method: 'DELETE', credentials: 'include' });
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Purge failed');
+        }
+
+        const data = await res.json();
+        showToastLocal(`Removed ${data.removed} cached tile(s)`, 'success');
+        await loadTileCache();
     } catch (err) {
         console.error(err);
         showToastLocal('Error: ' + err.message, 'error');
@@ -78,9 +174,16 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     document.getElementById('admin-link').style.display = '';
 
+    await initProjectSwitcher();
     loadDB();
+    loadTileCache();
 
-    document.getElementById('refresh-btn').addEventListener('click', loadDB);
+    document.getElementById('refresh-btn').addEventListener('click', () => {
+        loadDB();
+        loadTileCache();
+    });
+    document.getElementById('purge-cache-btn').addEventListener('click', () => purgeTileCache());
     document.getElementById('reset-btn').addEventListener('click', resetDB);
+    document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
 });
 
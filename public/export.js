@@ -1,13 +1,19 @@
 let exportData = null;
+let yoloTask = 'detect';
+let excludeDegraded = false;
+let splitMap = null;
+let splitLayer = null;
 
-// Split ratio
-const TRAIN_RATIO = 0.8;
-const VALID_RATIO = 0.15;
-const TEST_RATIO = 0.05;
+const SPLIT_COLORS = { train: '#14b8a6', valid: '#3b82f6', test: '#f59e0b' };
+
+// Query string shared by the preview and the ZIP downloads, so they contain the same images
+function exportQuery(params = {}) {
+    return new URLSearchParams({ ...params, excludeDegraded }).toString();
+}
 
 async function loadExportData() {
     try {
-        const res = await fetch('/api/export/yolo');
+        const res = await fetch(`/api/export/yolo?${exportQuery({ task: yoloTask })}`);
         exportData = await res.json();
         renderExport();
     } catch (err) {
@@ -16,36 +22,145 @@ async function loadExportData() {
     }
 }
 
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+function renderSplitSettings(settings) {
+    ['train', 'valid', 'test'].forEach(name => {
+        document.getElementById(`split-${name}`).value = Math.round(settings[name] * 100);
+        document.getElementById(`structure-${name}`).textContent = `${Math.round(settings[name] * 100)}%`;
+    });
+    document.getElementById('split-mode').value = settings.mode;
+    document.getElementById('split-block-zoom').value = settings.blockZoom;
+    document.getElementById('split-block-zoom-group').style.display = settings.mode === 'block' ? '' : 'none';
+    document.getElementById('split-seed').value = settings.seed;
+    document.getElementById('split-stratify').checked = settings.stratify;
+    document.getElementById('split-freeze-test').checked = settings.freezeTest;
 }
 
-function splitDataset(images) {
-    const shuffled = shuffleArray(images);
-    const total = shuffled.length;
-    
-    const trainEnd = Math.floor(total * TRAIN_RATIO);
-    const validEnd = trainEnd + Math.floor(total * VALID_RATIO);
-    
-    return {
-        train: shuffled.slice(0, trainEnd),
-        valid: shuffled.slice(trainEnd, validEnd),
-        test: shuffled.slice(validEnd)
+function renderUnsavedSplits(unsaved) {
+    document.getElementById('split-unsaved').textContent = unsaved > 0
+        ? `${unsaved} image${unsaved !== 1 ? 's have' : ' has'} no saved split yet and may still move`
+        : 'all images have a saved split';
+    document.getElementById('store-splits').disabled = unsaved === 0;
+}
+
+async function saveSplitSettings() {
+    const percent = (name) => Number(document.getElementById(`split-${name}`).value) / 100;
+    const settings = {
+        train: percent('train'),
+        valid: percent('valid'),
+        test: percent('test'),
+        seed: Number(document.getElementById('split-seed').value),
+        stratify: document.getElementById('split-stratify').checked,
+        freezeTest: document.getElementById('split-freeze-test').checked,
+        mode: document.getElementById('split-mode').value,
+        blockZoom: Number(document.getElementById('split-block-zoom').value)
     };
+
+    const message = settings.freezeTest
+        ? 'Reassign train and valid for all images? The current test set is kept.'
+        : 'Reassign train, valid and test for all images? Models trained on earlier exports may have seen the new test images.';
+    if (!confirm(message)) return;
+
+    try {
+        const res = await fetch('/api/export/splits', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await res.json();
+
+        if (!res.ok) {
+            showToast(data.error || 'Failed to save split settings');
+            return;
+        }
+        showToast('Splits reassigned');
+        loadExportData();
+    } catch (err) {
+        console.error(err);
+        showToast('Connection error');
+    }
+}
+
+// Stores the splits of new images as previewed, without changing the settings
+async function storeSplits() {
+    try {
+        const res = await fetch('/api/export/splits', { method: 'POST' });
+        const data = await res.json();
+
+        if (!res.ok) {
+            showToast(data.error || 'Failed to save the split assignment');
+            return;
+        }
+        showToast('Split assignment saved');
+        loadExportData();
+    } catch (err) {
+        console.error(err);
+        showToast('Connection error');
+    }
+}
+
+function imageTitle(img) {
+    if (img.background) return `Background #${img.sceneId}`;
+    return img.sceneId ? `Scene #${img.sceneId}` : `Box #${img.boxIds[0]}`;
+}
+
+// Which areas went to which split: blocks as rectangles, images as dots
+function renderSplitMap() {
+    const container = document.getElementById('split-map');
+    if (exportData.images.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = '';
+
+    if (!splitMap) {
+        splitMap = L.map('split-map', { scrollWheelZoom: false });
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
+        }).addTo(splitMap);
+        splitLayer = L.featureGroup().addTo(splitMap);
+    }
+    splitLayer.clearLayers();
+
+    exportData.splits.blocks.forEach(block => {
+        const { south, west, north, east } = block.bounds;
+        L.rectangle([[south, west], [north, east]], {
+            color: SPLIT_COLORS[block.split],
+            weight: 1,
+            fillOpacity: 0.25
+        })
+            .bindTooltip(`Block ${block.key} · ${block.split} · ${block.images} image${block.images !== 1 ? 's' : ''}`)
+            .addTo(splitLayer);
+    });
+
+    exportData.images.forEach(img => {
+        const { south, west, north, east } = img.bounds;
+        const title = imageTitle(img);
+        L.circleMarker([(south + north) / 2, (west + east) / 2], {
+            radius: 5,
+            color: SPLIT_COLORS[img.split],
+            weight: 1,
+            fillOpacity: 0.9
+        })
+            .bindTooltip(`${title} · ${img.split}`)
+            .addTo(splitLayer);
+    });
+
+    splitMap.fitBounds(splitLayer.getBounds(), { padding: [20, 20], maxZoom: 14 });
 }
 
 function renderExport() {
     if (!exportData) return;
 
+    renderSplitSettings(exportData.splits.settings);
+    renderUnsavedSplits(exportData.splits.unsaved);
+    renderSplitMap();
+
     // Stats
     document.getElementById('stat-classes').textContent = exportData.classes.length;
     document.getElementById('stat-tiles').textContent = exportData.totalImages;
     document.getElementById('stat-boxes').textContent = exportData.totalBoxes;
+    document.getElementById('stat-degraded').textContent = exportData.degradedImages;
 
     // Classes
     document.getElementById('classes-content').textContent = 
@@ -60,29 +175,21 @@ function renderExport() {
         return;
     }
 
-    // Preview of split
-    const split = splitDataset(exportData.images);
+    // The server assigns the splits, so this is exactly what the ZIP contains
+    const counts = exportData.splits.counts;
     
     const splitInfo = document.createElement('div');
     splitInfo.className = 'split-info';
     splitInfo.innerHTML = `
-        <h3>📊 Dataset Split (on export)</h3>
+        <h3>📊 Dataset Split</h3>
         <div class="split-stats">
-            <div class="split-stat">
-                <span class="split-label">Train</span>
-                <span class="split-value">${split.train.length}</span>
-                <span class="split-percent">${Math.round(split.train.length / exportData.images.length * 100)}%</span>
-            </div>
-            <div class="split-stat">
-                <span class="split-label">Valid</span>
-                <span class="split-value">${split.valid.length}</span>
-                <span class="split-percent">${Math.round(split.valid.length / exportData.images.length * 100)}%</span>
-            </div>
-            <div class="split-stat">
-                <span class="split-label">Test</span>
-                <span class="split-value">${split.test.length}</span>
-                <span class="split-percent">${Math.round(split.test.length / exportData.images.length * 100)}%</span>
-            </div>
+            ${['train', 'valid', 'test'].map(name => `
+                <div class="split-stat">
+                    <span class="split-label">${name[0].toUpperCase() + name.slice(1)}</span>
+                    <span class="split-value">${counts[name]}</span>
+                    <span class="split-percent">${Math.round(counts[name] / exportData.images.length * 100)}%</span>
+                </div>
+            `).join('')}
         </div>
     `;
     tilesList.appendChild(splitInfo);
@@ -92,25 +199,29 @@ function renderExport() {
         card.className = 'tile-card';
         
         const imageName = img.imagePath.split('/').pop();
+        const title = imageTitle(img);
+        const labelNames = [...new Set(img.annotations.map(a => a.labelName))];
         
         card.innerHTML = `
             <div class="tile-preview">
-                <img src="${img.imagePath}" alt="Box ${img.boxId}" loading="lazy" />
+                <img src="${img.imagePath}" alt="${title}" loading="lazy" />
                 <div class="tile-overlay">
-                    <span class="tile-coords">${img.gridSize} Tiles · ${img.imageSize.width}×${img.imageSize.height}px</span>
+                    <span class="tile-coords">${img.gridSize} Tiles · ${img.imageSize.width}×${img.imageSize.height}px${img.gsd ? ` · ${img.gsd} m/px` : ''}</span>
                 </div>
             </div>
             <div class="tile-info">
                 <div class="tile-header">
                     <h4>${imageName.replace('.jpg', '.txt')}</h4>
-                    <span class="annotation-count">Box #${img.boxId}</span>
+                    <span class="annotation-count">${title} · ${img.annotations.length} box${img.annotations.length !== 1 ? 'es' : ''}</span>
+                    <span class="split-badge split-${img.split}">${img.split}</span>
+                    ${img.degraded ? '<span class="degraded-badge" title="Some tiles could not be loaded; retry in the gallery">⚠️ failed tiles</span>' : ''}
                 </div>
-                <pre class="yolo-content">${img.yoloLine}</pre>
+                <pre class="yolo-content">${img.background ? '(empty – background)' : img.yoloContent}</pre>
                 <div class="tile-labels">
-                    <span class="label-tag">${img.annotation.labelName}</span>
+                    ${labelNames.map(name => `<span class="label-tag">${name}</span>`).join('')}
                 </div>
                 <div class="tile-actions">
-                    <button class="small-btn" onclick="copyToClipboard('${escapeForJs(img.yoloLine)}')">
+                    <button class="small-btn" onclick="copyToClipboard('${escapeForJs(img.yoloContent)}')">
                         📋 Copy
                     </button>
                 </div>
@@ -147,144 +258,35 @@ ${classes.map((c, i) => `  ${i}: ${c.name}`).join('\n')}
 `;
 }
 
-async function downloadAll() {
+function downloadAll() {
     if (!exportData || !exportData.images || exportData.images.length === 0) {
         alert('No data to export');
         return;
     }
 
-    // Dynamically load JSZip
-    if (typeof JSZip === 'undefined') {
-        const script = document.createElement('script');
-        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-        document.head.appendChild(script);
-        await new Promise(resolve => script.onload = resolve);
-    }
-
+    // The server streams the ZIP, the browser handles it as a regular download
     showToast('Preparing YOLO dataset...');
-    
-    const zip = new JSZip();
-    
-    // Split dataset
-    const split = splitDataset(exportData.images);
-    
-    // Create folder structure
-    const trainImages = zip.folder('train/images');
-    const trainLabels = zip.folder('train/labels');
-    const validImages = zip.folder('valid/images');
-    const validLabels = zip.folder('valid/labels');
-    const testImages = zip.folder('test/images');
-    const testLabels = zip.folder('test/labels');
-    
-    // Helper function to add images
-    async function addImagesToSplit(images, imagesFolder, labelsFolder, splitName) {
-        for (let i = 0; i < images.length; i++) {
-            const img = images[i];
-            const imageName = img.imagePath.split('/').pop();
-            const txtName = imageName.replace('.jpg', '.txt');
-            
-            // Add annotation
-            labelsFolder.file(txtName, img.yoloLine);
-            
-            // Download and add image
-            try {
-                const response = await fetch(img.imagePath);
-                const blob = await response.blob();
-                imagesFolder.file(imageName, blob);
-            } catch (e) {
-                console.error(`Error loading ${imageName}:`, e);
-            }
-            
-            // Show progress
-            const progress = Math.round(((i + 1) / images.length) * 100);
-            showToast(`${splitName}: ${progress}% (${i + 1}/${images.length})`);
-        }
-    }
-    
-    // Add images to respective splits
-    await addImagesToSplit(split.train, trainImages, trainLabels, 'Train');
-    await addImagesToSplit(split.valid, validImages, validLabels, 'Valid');
-    await addImagesToSplit(split.test, testImages, testLabels, 'Test');
-    
-    // Create data.yaml
-    zip.file('data.yaml', generateDataYaml(exportData.classes));
-    
-    // classes.txt (optional, for compatibility)
-    zip.file('classes.txt', exportData.classesFile);
-    
-    // README
-    const readme = `# YOLO Dataset Export
-
-Generated by Aeronir on ${new Date().toISOString()}
-
-## Structure
-
-\`\`\`
-dataset/
-├── train/
-│   ├── images/     # ${split.train.length} images
-│   └── labels/     # ${split.train.length} annotations
-├── valid/
-│   ├── images/     # ${split.valid.length} images
-│   └── labels/     # ${split.valid.length} annotations
-├── test/
-│   ├── images/     # ${split.test.length} images
-│   └── labels/     # ${split.test.length} annotations
-├── data.yaml       # YOLO configuration
-├── classes.txt     # Class names
-└── README.txt
-\`\`\`
-
-## Usage with YOLOv8
-
-\`\`\`bash
-# Start training
-yolo detect train data=data.yaml model=yolov8n.pt epochs=100 imgsz=640
-
-# Validation
-yolo detect val data=data.yaml model=runs/detect/train/weights/best.pt
-
-# Inference
-yolo detect predict model=runs/detect/train/weights/best.pt source=path/to/images
-\`\`\`
-
-## Classes
-
-${exportData.classes.map((c, i) => `${i}: ${c.name}`).join('\n')}
+    window.location.href = `/api/export/yolo.zip?${exportQuery({ task: yoloTask })}`;
+}
 
-## Statistics
+function downloadCoco() {
+    if (!exportData || !exportData.images || exportData.images.length === 0) {
+        alert('No data to export');
+        return;
+    }
 
-- Classes: ${exportData.classes.length}
-- Total: ${exportData.totalImages} images
-- Train: ${split.train.length} (${Math.round(TRAIN_RATIO * 100)}%)
-- Valid: ${split.valid.length} (${Math.round(VALID_RATIO * 100)}%)
-- Test: ${split.test.length} (${Math.round(TEST_RATIO * 100)}%)
+    showToast('Preparing COCO dataset...');
+    window.location.href = `/api/export/coco.zip?${exportQuery()}`;
+}
 
-## Notes
+function downloadVoc() {
+    if (!exportData || !exportData.images || exportData.images.length === 0) {
+        alert('No data to export');
+        return;
+    }
 
-- All images use Sentinel-2 Cloudless satellite imagery from EOX
-- Annotations are in YOLO format: class_id x_center y_center width height
-- All coordinates are normalized (0-1)
-`;
-    zip.file('README.txt', readme);
-    
-    showToast('Creating ZIP file...');
-    
-    // Generate and download ZIP
-    const blob = await zip.generateAsync({ 
-        type: 'blob',
-        compression: 'DEFLATE',
-        compressionOptions: { level: 6 }
-    });
-    
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `yolo_dataset_${Date.now()}.zip`;
-    a.click();
-    URL.revokeObjectURL(url);
-    
-    showToast('YOLO dataset downloaded! ✅');
+    showToast('Preparing Pascal VOC dataset...');
+    window.location.href = `/api/export/voc.zip?${exportQuery()}`;
 }
 
 function copyClasses() {
@@ -330,8 +332,32 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('db-link').style.display = '';
     }
     
+    await initProjectSwitcher();
     loadExportData();
+
+    // Everybody sees the split settings, admins can change them
+    document.getElementById('split-mode').addEventListener('change', (e) => {
+        document.getElementById('split-block-zoom-group').style.display = e.target.value === 'block' ? '' : 'none';
+    });
+    if (auth.user.role === 'admin') {
+        document.getElementById('save-splits').style.display = '';
+        document.getElementById('save-splits').addEventListener('click', saveSplitSettings);
+        document.getElementById('store-splits').style.display = '';
+        document.getElementById('store-splits').addEventListener('click', storeSplits);
+    } else {
+        document.querySelectorAll('.split-form input, .split-form select').forEach(input => input.disabled = true);
+    }
     
+    document.getElementById('yolo-task').addEventListener('change', (e) => {
+        yoloTask = e.target.value;
+        loadExportData();
+    });
+    document.getElementById('exclude-degraded').addEventListener('change', (e) => {
+        excludeDegraded = e.target.checked;
+        loadExportData();
+    });
     document.getElementById('download-all').addEventListener('click', downloadAll);
+    document.getElementById('download-coco').addEventListener('click', downloadCoco);
+    document.getElementById('download-voc').addEventListener('click', downloadVoc);
     document.getElementById('copy-classes').addEventListener('click', copyClasses);
 });
@@ -24,7 +24,8 @@ function initSocket(token) {
     }
 
     socket = io({
-        auth: { token: authToken },
+        // The server puts this socket into the room of the selected project
+        auth: { token: authToken, projectId: getCurrentProjectId() },
         reconnection: true,
         reconnectionAttempts: MAX_RECONNECT_ATTEMPTS,
         reconnectionDelay: RECONNECT_DELAY,
@@ -103,6 +104,14 @@ function initSocket(token) {
         showToast(`${box.userEmail} added a box`, 'info');
     });
 
+    socket.on('box:updated', (box) => {
+        console.log('✏️ Box updated:', box);
+        if (typeof handleBoxUpdated === 'function') {
+            handleBoxUpdated(box);
+        }
+        showToast(`${box.updatedBy} edited a box`, 'info');
+    });
+
     socket.on('box:deleted', (data) => {
         console.log('🗑️ Box deleted:', data);
         if (typeof handleBoxDeleted === 'function') {
@@ -113,9 +122,105 @@ function initSocket(token) {
         }
     });
 
+    socket.on('box:restored', (box) => {
+        console.log('♻️ Box restored:', box);
+        if (typeof handleBoxRestored === 'function') {
+            handleBoxRestored(box);
+        }
+    });
+
+    socket.on('label:restored', (label) => {
+        console.log('♻️ Label restored:', label);
+        if (typeof handleLabelRestored === 'function') {
+            handleLabelRestored(label);
+        }
+        showToast(`Label "${label.name}" was restored`, 'info');
+    });
+
+    socket.on('scene:created', (scene) => {
+        console.log('🖼️ Scene created:', scene);
+        if (typeof handleSceneCreated === 'function') {
+            handleSceneCreated(scene);
+        }
+        showToast(`${scene.userEmail} added a scene`, 'info');
+    });
+
+    socket.on('scene:deleted', (data) => {
+        console.log('🗑️ Scene deleted:', data);
+        if (typeof handleSceneDeleted === 'function') {
+            handleSceneDeleted(data.id);
+        }
+        showToast(`${data.deletedBy} deleted a scene`, 'info');
+    });
+
+    socket.on('scene:restored', (scene) => {
+        console.log('♻️ Scene restored:', scene);
+        if (typeof handleSceneRestored === 'function') {
+            handleSceneRestored(scene);
+        }
+        showToast(`Scene #${scene.id} was restored`, 'info');
+    });
+
+    // Composite images rendered by the server's job queue
+    socket.on('box:image-progress', (progress) => {
+        if (typeof handleImageProgress === 'function') {
+            handleImageProgress('box', progress);
+        }
+    });
+
+    socket.on('scene:image-progress', (progress) => {
+        if (typeof handleImageProgress === 'function') {
+            handleImageProgress('scene', progress);
+        }
+    });
+
+    socket.on('box:image-ready', (box) => {
+        console.log('🖼️ Box image ready:', box);
+        if (typeof handleBoxImageReady === 'function') {
+            handleBoxImageReady(box);
+        }
+    });
+
+    socket.on('scene:image-ready', (scene) => {
+        console.log('🖼️ Scene image ready:', scene);
+        if (typeof handleSceneImageReady === 'function') {
+            handleSceneImageReady(scene);
+        }
+    });
+
+    socket.on('imagery:created', (imagery) => {
+        console.log('🛰️ Imagery uploaded:', imagery);
+        if (typeof handleImageryCreated === 'function') {
+            handleImageryCreated(imagery);
+        }
+        showToast(`${imagery.userEmail} uploaded imagery "${imagery.name}"`, 'info');
+    });
+
+    socket.on('imagery:deleted', (data) => {
+        console.log('🗑️ Imagery deleted:', data);
+        if (typeof handleImageryDeleted === 'function') {
+            handleImageryDeleted(data.id);
+        }
+    });
+
+    socket.on('project:updated', (project) => {
+        console.log('📁 Project updated:', project);
+        const option = document.querySelector(`#project-select option[value="${project.id}"]`);
+        if (option) option.textContent = project.name;
+        if (typeof handleProjectUpdated === 'function') {
+            handleProjectUpdated(project);
+        }
+    });
+
+    socket.on('project:removed', () => {
+        console.log('📁 Project access removed');
+        showToast('You no longer have access to this project', 'warning');
+        setTimeout(() => location.reload(), 2000);
+    });
+
     socket.on('db:reset', (data) => {
-        console.log('💥 Database reset by:', data.resetBy);
-        showToast(`Database reset by ${data.resetBy}!`, 'warning');
+        console.log('💥 Project reset by:', data.resetBy);
+        showToast(`Project reset by ${data.resetBy}!`, 'warning');
         // Reload page after reset
         setTimeout(() => location.reload(), 2000);
     });
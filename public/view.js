@@ -3,6 +3,7 @@ let labelsData = [];
 let currentTileSize = 300;
 let showLabels = true;
 let filterLabel = '';
+let onlyDegraded = false;
 
 // Colors for labels (consistent with app.js)
 const labelColors = [
@@ -50,13 +51,37 @@ function populateLabelFilter() {
 
 function updateStats() {
     const filteredBoxes = getFilteredBoxes();
-    document.getElementById('tile-count').textContent = filteredBoxes.length;
+    document.getElementById('tile-count').textContent = groupByImage(filteredBoxes).length;
     document.getElementById('box-count').textContent = filteredBoxes.length;
+    document.getElementById('degraded-count').textContent = groupByImage(boxesData.filter(box => box.degraded)).length;
 }
 
 function getFilteredBoxes() {
-    if (!filterLabel) return boxesData;
-    return boxesData.filter(box => box.labelName === filterLabel);
+    return boxesData.filter(box =>
+        (!filterLabel || box.labelName === filterLabel) && (!onlyDegraded || box.degraded));
+}
+
+// Boxes of the same scene share one image; show them together on one card
+function groupByImage(boxes) {
+    const groups = new Map();
+    boxes.forEach(box => {
+        if (!groups.has(box.image)) {
+            groups.set(box.image, {
+                sceneId: box.sceneId || null,
+                image: box.image,
+                imageSize: box.imageSize,
+                tiles: box.tiles,
+                tileGrid: box.tileGrid,
+                zoom: box.zoom,
+                gsd: box.gsd,
+                degraded: Boolean(box.degraded),
+                failedTiles: box.failedTiles || [],
+                boxes: []
+            });
+        }
+        groups.get(box.image).boxes.push(box);
+    });
+    return Array.from(groups.values());
 }
 
 function renderGallery() {
@@ -77,28 +102,28 @@ function renderGallery() {
     // CSS Grid with variable tile size
     gallery.style.gridTemplateColumns = `repeat(auto-fill, minmax(${currentTileSize}px, 1fr))`;
     
-    filteredBoxes.forEach((box, index) => {
-        const card = createBoxCard(box, index);
+    groupByImage(filteredBoxes).forEach((group, index) => {
+        const card = createBoxCard(group, index);
         gallery.appendChild(card);
     });
 }
 
-function createBoxCard(box, index) {
+function createBoxCard(group, index) {
     const card = document.createElement('div');
     card.className = 'tile-gallery-card';
     
     // Container for canvas
     const canvasContainer = document.createElement('div');
     canvasContainer.className = 'tile-canvas-container';
-    canvasContainer.style.aspectRatio = box.imageSize 
-        ? `${box.imageSize.width} / ${box.imageSize.height}` 
+    canvasContainer.style.aspectRatio = group.imageSize 
+        ? `${group.imageSize.width} / ${group.imageSize.height}` 
         : '1';
     
     // Create canvas
     const canvas = document.createElement('canvas');
     canvas.className = 'tile-canvas';
     
-    // Load image and draw box
+    // Load image and draw boxes
     const img = new Image();
     img.onload = () => {
         // Adjust canvas size to displayed image
@@ -109,7 +134,7 @@ function createBoxCard(box, index) {
         canvas.width = displayWidth;
         canvas.height = displayHeight;
         
-        drawBoxOnImage(canvas, img, box);
+        drawBoxesOnImage(canvas, img, group.boxes);
     };
     img.onerror = () => {
         canvas.width = currentTileSize;
@@ -122,7 +147,7 @@ function createBoxCard(box, index) {
         ctx.textAlign = 'center';
         ctx.fillText('Image not available', canvas.width / 2, canvas.height / 2);
     };
-    img.src = box.image;
+    img.src = group.image;
     
     canvasContainer.appendChild(canvas);
     
@@ -130,29 +155,49 @@ function createBoxCard(box, index) {
     const info = document.createElement('div');
     info.className = 'tile-card-info';
     
-    const color = getLabelColor(box.labelId);
-    const gridSize = box.tileGrid ? `${box.tileGrid.width}×${box.tileGrid.height}` : '1×1';
+    const gridSize = group.tileGrid ? `${group.tileGrid.width}×${group.tileGrid.height}` : '1×1';
     
     info.innerHTML = `
         <div class="tile-card-labels">
-            <span class="mini-tag" style="background: ${color}">${box.labelName}</span>
+            ${renderLabelTags(group.boxes, 'mini-tag')}
         </div>
         <div class="tile-card-meta">
-            <span class="box-badge">${box.tiles.length} Tile${box.tiles.length !== 1 ? 's' : ''} (${gridSize})</span>
-            ${box.imageSize ? `<span class="size-badge">${box.imageSize.width}×${box.imageSize.height}px</span>` : ''}
+            <span class="box-badge">${group.tiles.length} Tile${group.tiles.length !== 1 ? 's' : ''} (${gridSize})</span>
+            ${group.boxes.length > 1 ? `<span class="box-badge">${group.boxes.length} Boxes</span>` : ''}
+            ${group.imageSize ? `<span class="size-badge">${group.imageSize.width}×${group.imageSize.height}px</span>` : ''}
         </div>
+        ${group.degraded ? `
+            <div class="tile-card-degraded">
+                <span class="degraded-badge" title="These tiles could not be loaded and show a placeholder">
+                    ⚠️ ${group.failedTiles.length} tile${group.failedTiles.length !== 1 ? 's' : ''} failed
+                </span>
+                <button class="small-btn retry-image-btn">🔁 Retry</button>
+            </div>
+        ` : ''}
     `;
     
     card.appendChild(canvasContainer);
     card.appendChild(info);
+
+    const retryBtn = info.querySelector('.retry-image-btn');
+    if (retryBtn) retryBtn.addEventListener('click', () => retryImage(group, retryBtn));
     
     // Click for lightbox
-    canvasContainer.addEventListener('click', () => openLightbox(box));
+    canvasContainer.addEventListener('click', () => openLightbox(group));
     
     return card;
 }
 
-function drawBoxOnImage(canvas, img, box) {
+// One tag per distinct label in the group
+function renderLabelTags(boxes, className) {
+    const seen = new Map();
+    boxes.forEach(box => seen.set(box.labelId, box.labelName));
+    return Array.from(seen.entries())
+        .map(([labelId, name]) => `<span class="${className}" style="background: ${getLabelColor(labelId)}">${name}</span>`)
+        .join('');
+}
+
+function drawBoxesOnImage(canvas, img, boxes) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
@@ -160,6 +205,10 @@ function drawBoxOnImage(canvas, img, box) {
     // Draw image (scaled)
     ctx.drawImage(img, 0, 0, width, height);
     
+    boxes.forEach(box => drawBox(ctx, width, height, box));
+}
+
+function drawBox(ctx, width, height, box) {
     if (!box.yolo) return;
     
     const color = getLabelColor(box.labelId);
@@ -173,14 +222,25 @@ function drawBoxOnImage(canvas, img, box) {
     const x1 = x - w / 2;
     const y1 = y - h / 2;
     
-    // Draw box
+    // Draw box, or the outline of polygons and oriented boxes
+    ctx.beginPath();
+    if (box.yolo.points) {
+        box.yolo.points.forEach(([px, py], i) => {
+            if (i === 0) ctx.moveTo(px * width, py * height);
+            else ctx.lineTo(px * width, py * height);
+        });
+        ctx.closePath();
+    } else {
+        ctx.rect(x1, y1, w, h);
+    }
+
     ctx.strokeStyle = color;
     ctx.lineWidth = 3;
-    ctx.strokeRect(x1, y1, w, h);
+    ctx.stroke();
     
     // Semi-transparent fill
     ctx.fillStyle = color + '25';
-    ctx.fillRect(x1, y1, w, h);
+    ctx.fill();
     
     // Draw label text
     if (showLabels) {
@@ -203,7 +263,7 @@ function drawBoxOnImage(canvas, img, box) {
     }
 }
 
-function openLightbox(box) {
+function openLightbox(group) {
     const lightbox = document.getElementById('lightbox');
     const canvas = document.getElementById('lightbox-canvas');
     const title = document.getElementById('lightbox-title');
@@ -227,28 +287,74 @@ function openLightbox(box) {
         canvas.width = displayWidth;
         canvas.height = displayHeight;
         
-        drawBoxOnImage(canvas, img, box);
+        drawBoxesOnImage(canvas, img, group.boxes);
     };
-    img.src = box.image;
+    img.src = group.image;
     
     // Set info
-    title.textContent = `Box #${box.id}`;
+    title.textContent = group.sceneId ? `Scene #${group.sceneId}` : `Box #${group.boxes[0].id}`;
     
-    const color = getLabelColor(box.labelId);
-    labelsContainer.innerHTML = `<span class="lightbox-tag" style="background: ${color}">${box.labelName}</span>`;
+    labelsContainer.innerHTML = renderLabelTags(group.boxes, 'lightbox-tag');
     
-    const gridSize = box.tileGrid ? `${box.tileGrid.width}×${box.tileGrid.height}` : '1×1';
+    const gridSize = group.tileGrid ? `${group.tileGrid.width}×${group.tileGrid.height}` : '1×1';
+    const yoloItems = group.boxes
+        .filter(box => box.yolo)
+        .map(box => `<div class="coord-item"><strong>${box.labelName}:</strong> ${box.yolo.x_center.toFixed(3)}, ${box.yolo.y_center.toFixed(3)}, ${box.yolo.width.toFixed(3)}, ${box.yolo.height.toFixed(3)}</div>`)
+        .join('');
     coords.innerHTML = `
-        <div class="coord-item"><strong>Zoom:</strong> ${box.zoom}</div>
-        <div class="coord-item"><strong>Tiles:</strong> ${box.tiles.length} (${gridSize})</div>
-        <div class="coord-item"><strong>Size:</strong> ${box.imageSize ? `${box.imageSize.width}×${box.imageSize.height}px` : 'N/A'}</div>
-        <div class="coord-item"><strong>YOLO:</strong> ${box.yolo.x_center.toFixed(3)}, ${box.yolo.y_center.toFixed(3)}, ${box.yolo.width.toFixed(3)}, ${box.yolo.height.toFixed(3)}</div>
+        <div class="coord-item"><strong>Zoom:</strong> ${group.zoom}</div>
+        ${group.gsd ? `<div class="coord-item"><strong>GSD:</strong> ${group.gsd} m/px</div>` : ''}
+        <div class="coord-item"><strong>Tiles:</strong> ${group.tiles.length} (${gridSize})</div>
+        <div class="coord-item"><strong>Size:</strong> ${group.imageSize ? `${group.imageSize.width}×${group.imageSize.height}px` : 'N/A'}</div>
+        ${yoloItems}
+        ${group.failedTiles.map(tile => `
+            <div class="coord-item degraded-tile"><strong>Failed tile ${tile.z}/${tile.x}/${tile.y}:</strong> ${tile.error}</div>
+        `).join('')}
     `;
     
     lightbox.classList.add('active');
     document.body.style.overflow = 'hidden';
 }
 
+// Resolves with the job once it is done: gone from the queue (null) or failed for good
+async function waitForJob(jobId) {
+    for (;;) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const res = await fetch('/api/jobs');
+        if (!res.ok) throw new Error('Could not check the image job');
+        const job = (await res.json()).find(j => j.id === jobId) || null;
+        if (!job || job.status === 'failed') return job;
+    }
+}
+
+// Renders the image again; tiles that failed before are fetched anew
+async function retryImage(group, button) {
+    const url = group.sceneId
+        ? `/api/scenes/${group.sceneId}/retry-image`
+        : `/api/boxes/${group.boxes[0].id}/retry-image`;
+
+    button.disabled = true;
+    button.textContent = '⏳ Rendering...';
+    try {
+        const res = await fetch(url, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Retry failed');
+
+        const failedJob = await waitForJob(data.job.id);
+        if (failedJob) throw new Error(failedJob.error || 'Could not create the image');
+
+        await loadData();
+        const image = boxesData.find(box => group.sceneId ? box.sceneId === group.sceneId : box.id === group.boxes[0].id);
+        const failed = image?.failedTiles?.length || 0;
+        showToast(failed ? `${failed} tile(s) still failing` : 'Image repaired', failed > 0);
+    } catch (err) {
+        console.error(err);
+        showToast(err.message, true);
+        button.disabled = false;
+        button.textContent = '🔁 Retry';
+    }
+}
+
 function closeLightbox() {
     const lightbox = document.getElementById('lightbox');
     lightbox.classList.remove('active');
@@ -267,6 +373,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('db-link').style.display = '';
     }
     
+    await initProjectSwitcher();
     loadData();
     
     // Filter
@@ -276,6 +383,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateStats();
     });
     
+    document.getElementById('only-degraded').addEventListener('change', (e) => {
+        onlyDegraded = e.target.checked;
+        renderGallery();
+        updateStats();
+    });
+    
     // Tile size
     const sizeSlider = document.getElementById('tile-size');
     const sizeValue = document.getElementById('tile-size-value');
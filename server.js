@@ -1,14 +1,27 @@
+import archiver from 'archiver';
 import bcrypt from 'bcryptjs';
+import Database from 'better-sqlite3';
 import cookieParser from 'cookie-parser';
+import { createHash } from 'crypto';
 import express from 'express';
+import { createWriteStream } from 'fs';
 import fs from 'fs/promises';
 import { createServer } from 'http';
 import jwt from 'jsonwebtoken';
-import { JSONFilePreset } from 'lowdb/node';
 import path from 'path';
 import sharp from 'sharp';
 import { Server } from 'socket.io';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import {
+    calculateYoloForComposite, captureLimitsFor, chipFrame, chipGridFrames, chipSettingsFor, frameBounds, frameCrop,
+    frameProjector, frameTileGrid, MAX_ZOOM, nativeFrame, parseCaptureLimits, parseChipSettings, planCapture
+} from './lib/frames.js';
+import { capabilitiesUrl, ogcTileUrl, parseWmsCapabilities, parseWmtsCapabilities, parseXml } from './lib/ogc.js';
+import { SPLITS, assignSplits, imageKey, parseSplitSettings, splitBlocks, splitSettingsFor } from './lib/splits.js';
+import { importLegacyDatabase, openStorage } from './lib/storage.js';
+import { latLngToTile, tileToBounds } from './lib/tiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,26 +33,103 @@ const JWT_EXPIRES = '7d';
 // Folder for saved tiles
 const TILES_DIR = path.join(__dirname, 'public', 'saved_tiles');
 
+// On-disk tile cache (XYZ store per tile source)
+const TILE_CACHE_DIR = path.join(__dirname, 'tile_cache');
+const TILE_CACHE_MAX_BYTES = Number(process.env.TILE_CACHE_MAX_MB || 500) * 1024 * 1024;
+
+// Uploaded GeoTIFF / MBTiles imagery
+const IMAGERY_DIR = path.join(__dirname, 'imagery');
+const IMAGERY_MAX_BYTES = Number(process.env.IMAGERY_MAX_MB || 2048) * 1024 * 1024;
+// Pixels of a GeoTIFF (sharp's own default); its Web Mercator copy may need up to twice that
+const IMAGERY_MAX_PIXELS = 0x3FFF * 0x3FFF;
+
+// SQLite database; the JSON file of older versions is imported into a new one
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.sqlite');
+const LEGACY_DB_FILE = path.join(__dirname, 'db.json');
+
 // Default Tile-Server URL
 const DEFAULT_TILE_URL = 'https://tiles.maps.eox.at/wmts/1.0.0/s2cloudless_3857/default/GoogleMapsCompatible/{z}/{y}/{x}.jpg';
 
-// --- Initialize lowdb ---
-const defaultData = {
-    users: [],
-    labels: [],
-    boxes: [],
-    tileSize: 256
-};
+// Upstream requests per second and tile source, unless an admin sets another limit
+const DEFAULT_TILE_RATE_LIMIT = 10;
+// Longer waits for a rate-limited source are answered with 429 by the tile proxy
+const TILE_PROXY_MAX_WAIT_MS = 2000;
+// An upstream tile that hasn't arrived by then fails like an HTTP error
+const TILE_FETCH_TIMEOUT_MS = Number(process.env.TILE_FETCH_TIMEOUT_MS || 15000);
+
+// Composite images rendered at the same time by the background job queue
+const IMAGE_JOB_CONCURRENCY = Number(process.env.IMAGE_JOB_CONCURRENCY || 2);
+// Renders that fail or come back with failed tiles are tried this often, waiting longer each time
+const IMAGE_JOB_MAX_ATTEMPTS = 3;
+const IMAGE_JOB_RETRY_DELAY_MS = 5000;
+
+// Tile sources a new database starts with; admins manage the list afterwards
+const BUILTIN_TILE_SOURCES = [
+    {
+        name: 'Sentinel-2 Cloudless (EOX)',
+        url: DEFAULT_TILE_URL,
+        maxZoom: 14,
+        attribution: '&copy; <a href="https://s2maps.eu">Sentinel-2 cloudless</a> by EOX'
+    },
+    {
+        name: 'OpenStreetMap',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
+    },
+    {
+        name: 'ESRI Satellite',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 18,
+        attribution: '&copy; Esri, Maxar, Earthstar Geographics'
+    }
+];
+
+// --- Storage ---
+// The SQLite storage is in lib/storage.js; the server only uses db.data, db.write(), db.nextId() and db.find()
 
-const db = await JSONFilePreset(path.join(__dirname, 'db.json'), defaultData);
+const db = openStorage(DB_FILE);
+await importLegacyDatabase(db, LEGACY_DB_FILE);
 
-await db.read();
-if (!db.data.users) {
-    db.data.users = [];
+// Records from older versions
+if (!db.data.projects.length) {
+    // Databases from before projects: existing data and users move into a default project
+    const project = createProjectRecord(db.nextId('projects'), { name: 'Default' }, db.data.users.map(u => u.id));
+    db.data.projects = [project];
+    for (const item of [...db.data.labels, ...db.data.boxes, ...db.data.scenes]) {
+        item.projectId ??= project.id;
+    }
+    await db.write();
+}
+if (!db.data.tileSources.length) {
+    // The former built-in presets, plus the projects' default URLs so they stay usable
+    db.data.tileSources = BUILTIN_TILE_SOURCES.map(source => createTileSourceRecord(db.nextId('tileSources'), source));
+    for (const project of db.data.projects) {
+        if (!project.tileUrl || project.tileUrl.startsWith('/imagery/')) continue;
+        if (db.data.tileSources.some(s => s.url === project.tileUrl)) continue;
+        db.data.tileSources.push(createTileSourceRecord(db.nextId('tileSources'), {
+            name: `${project.name} default`,
+            url: project.tileUrl
+        }));
+    }
+    await db.write();
+}
+if (db.data.tileSources.some(s => s.rateLimit === undefined || s.hiDpi === undefined)) {
+    db.data.tileSources.forEach(s => {
+        s.rateLimit ??= DEFAULT_TILE_RATE_LIMIT;
+        s.hiDpi ??= false;
+    });
+    await db.write();
+}
+if ('tileSize' in db.data) {
+    // Was never read; the tile size is a property of each tile source
+    delete db.data.tileSize;
     await db.write();
 }
 
 await fs.mkdir(TILES_DIR, { recursive: true });
+await fs.mkdir(TILE_CACHE_DIR, { recursive: true });
+await fs.mkdir(IMAGERY_DIR, { recursive: true });
 
 // --- Express + Socket.io Setup ---
 const app = express();
@@ -51,14 +141,22 @@ const io = new Server(httpServer, {
     }
 });
 
-app.use(express.json());
+// Express 4 doesn't catch rejected promises: async route handlers pass their errors on
+// to the error handler at the end
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// GeoJSON imports can be large
+app.use(express.json({ limit: '25mb' }));
 app.use(cookieParser());
 
 // --- Online Users Tracking ---
-const onlineUsers = new Map(); // socketId -> { id, email, role }
+const onlineUsers = new Map(); // socketId -> { id, email, role, projectId }
 
 // --- Socket.io Authentication & Connection ---
-io.use((socket, next) => {
+// Every socket joins the room of one project; real-time events never leave that room.
+io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
         return next(new Error('Authentication required'));
@@ -67,35 +165,44 @@ io.use((socket, next) => {
     try {
         const decoded = jwt.verify(token, JWT_SECRET);
         socket.user = decoded;
-        next();
     } catch (err) {
-        next(new Error('Invalid token'));
+        return next(new Error('Invalid token'));
     }
+
+    const accessible = projectsForUser(socket.user);
+    const project = accessible.find(p => p.id === Number(socket.handshake.auth.projectId)) || accessible[0];
+    socket.projectId = project ? project.id : null;
+    next();
 });
 
 io.on('connection', (socket) => {
     console.log(`🔌 User connected: ${socket.user.email}`);
 
+    const room = projectRoom(socket.projectId);
+    if (socket.projectId) socket.join(room);
+
     // Add to online users
     onlineUsers.set(socket.id, {
         id: socket.user.id,
         email: socket.user.email,
-        role: socket.user.role
+        role: socket.user.role,
+        projectId: socket.projectId
     });
 
     // Broadcast updated online users
-    io.emit('users:online', Array.from(onlineUsers.values()));
+    emitOnlineUsers(socket.projectId);
 
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log(`🔌 User disconnected: ${socket.user.email}`);
         onlineUsers.delete(socket.id);
-        io.emit('users:online', Array.from(onlineUsers.values()));
+        emitOnlineUsers(socket.projectId);
     });
 
     // Handle cursor position updates (for collaborative editing)
     socket.on('cursor:move', (data) => {
-        socket.broadcast.emit('cursor:update', {
+        if (!socket.projectId) return;
+        socket.to(room).emit('cursor:update', {
             userId: socket.user.id,
             email: socket.user.email,
             ...data
@@ -103,9 +210,21 @@ io.on('connection', (socket) => {
     });
 });
 
-// --- Emit Helper ---
-function emitToAll(event, data) {
-    io.emit(event, data);
+// --- Emit Helpers ---
+function projectRoom(projectId) {
+    return `project:${projectId}`;
+}
+
+function emitToProject(projectId, event, data) {
+    io.to(projectRoom(projectId)).emit(event, data);
+}
+
+function emitOnlineUsers(projectId) {
+    if (!projectId) return;
+    const users = Array.from(onlineUsers.values())
+        .filter(u => u.projectId === projectId)
+        .map(({ id, email, role }) => ({ id, email, role }));
+    emitToProject(projectId, 'users:online', users);
 }
 
 // --- Authentication Middleware ---
@@ -132,18 +251,66 @@ function requireAdmin(req, res, next) {
     next();
 }
 
+// --- Projects ---
+// Labels, boxes and scenes belong to exactly one project. Admins can open every
+// project, other users only those they are a member of.
+
+function createProjectRecord(id, { name, description, tileUrl }, members = []) {
+    return {
+        id,
+        name: name.trim(),
+        description: description?.trim() || '',
+        tileUrl: tileUrl?.trim() || null,
+        members,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function projectsForUser(user) {
+    return db.data.projects.filter(p => user.role === 'admin' || p.members.includes(user.id));
+}
+
+// An explicit `?project=` or X-Project-Id header must be accessible; the project
+// cookie set by the switcher falls back to the user's first project.
+function resolveProject(req) {
+    const accessible = projectsForUser(req.user);
+    const explicit = req.query.project || req.headers['x-project-id'];
+    if (explicit) {
+        return accessible.find(p => p.id === Number(explicit)) || null;
+    }
+    return accessible.find(p => p.id === Number(req.cookies.project)) || accessible[0] || null;
+}
+
+async function requireProject(req, res, next) {
+    const project = resolveProject(req);
+    if (!project) {
+        return res.status(403).json({ error: 'No access to this project' });
+    }
+    req.project = project;
+    next();
+}
+
+// The labels, boxes and scenes of one project, shaped like db.data for the exporters
+function projectData(project) {
+    const inProject = item => item.projectId === project.id;
+    return {
+        labels: db.data.labels.filter(inProject),
+        boxes: db.data.boxes.filter(inProject),
+        scenes: db.data.scenes.filter(inProject)
+    };
+}
+
 async function needsSetup() {
-    await db.read();
     return !db.data.users.some(u => u.role === 'admin');
 }
 
 // --- Auth API Routes ---
 
-app.get('/api/auth/needs-setup', async (req, res) => {
+app.get('/api/auth/needs-setup', asyncHandler(async (req, res) => {
     res.json({ needsSetup: await needsSetup() });
-});
+}));
 
-app.post('/api/auth/setup', async (req, res) => {
+app.post('/api/auth/setup', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     if (!await needsSetup()) {
@@ -158,8 +325,6 @@ app.post('/api/auth/setup', async (req, res) => {
         return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    await db.read();
-
     const hashedPassword = await bcrypt.hash(password, 10);
     const newUser = {
         id: 1,
@@ -170,6 +335,7 @@ app.post('/api/auth/setup', async (req, res) => {
     };
 
     db.data.users.push(newUser);
+    db.data.projects[0]?.members.push(newUser.id);
     await db.write();
 
     const token = jwt.sign(
@@ -189,9 +355,9 @@ app.post('/api/auth/setup', async (req, res) => {
         user: { id: newUser.id, email: newUser.email, role: newUser.role },
         token
     });
-});
+}));
 
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
@@ -202,22 +368,22 @@ app.post('/api/auth/register', async (req, res) => {
         return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    await db.read();
-
     if (db.data.users.find(u => u.email === email.toLowerCase().trim())) {
         return res.status(400).json({ error: 'Email already registered' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const newUser = {
-        id: db.data.users.length ? Math.max(...db.data.users.map(u => u.id)) + 1 : 1,
+        id: db.nextId('users'),
         email: email.toLowerCase().trim(),
         password: hashedPassword,
         role: 'user',
         createdAt: new Date().toISOString()
     };
 
+    // New accounts start in the default (first) project; admins manage further memberships
     db.data.users.push(newUser);
+    db.data.projects[0]?.members.push(newUser.id);
     await db.write();
 
     const token = jwt.sign(
@@ -237,17 +403,15 @@ app.post('/api/auth/register', async (req, res) => {
         user: { id: newUser.id, email: newUser.email, role: newUser.role },
         token
     });
-});
+}));
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
         return res.status(400).json({ error: 'Email and password required' });
     }
 
-    await db.read();
-
     const user = db.data.users.find(u => u.email === email.toLowerCase().trim());
     if (!user) {
         return res.status(401).json({ error: 'Invalid credentials' });
@@ -275,7 +439,7 @@ app.post('/api/auth/login', async (req, res) => {
         user: { id: user.id, email: user.email, role: user.role },
         token
     });
-});
+}));
 
 app.post('/api/auth/logout', (req, res) => {
     res.clearCookie('token');
@@ -288,8 +452,7 @@ app.get('/api/auth/me', authenticateToken, (req, res) => {
 
 // --- Admin User Management API ---
 
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
-    await db.read();
+app.get('/api/admin/users', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
     const users = db.data.users.map(u => ({
         id: u.id,
         email: u.email,
@@ -297,9 +460,9 @@ app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) =>
         createdAt: u.createdAt
     }));
     res.json(users);
-});
+}));
 
-app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
     const userId = Number(req.params.id);
     const { role } = req.body;
 
@@ -307,7 +470,6 @@ app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, async (req
         return res.status(400).json({ error: 'Invalid role' });
     }
 
-    await db.read();
     const user = db.data.users.find(u => u.id === userId);
     if (!user) {
         return res.status(404).json({ error: 'User not found' });
@@ -324,17 +486,15 @@ app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, async (req
     await db.write();
 
     res.json({ message: 'Role updated', user: { id: user.id, email: user.email, role: user.role } });
-});
+}));
 
-app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
     const userId = Number(req.params.id);
 
     if (req.user.id === userId) {
         return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
-    await db.read();
-
     const userIndex = db.data.users.findIndex(u => u.id === userId);
     if (userIndex === -1) {
         return res.status(404).json({ error: 'User not found' });
@@ -349,370 +509,3246 @@ app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req,
     }
 
     db.data.users.splice(userIndex, 1);
+    db.data.projects.forEach(p => {
+        p.members = p.members.filter(id => id !== userId);
+    });
     await db.write();
 
     res.json({ message: 'User deleted' });
-});
+}));
 
-// --- Helper Functions for Tile Calculations ---
+// --- Projects API ---
 
-function latLngToTile(lat, lng, zoom) {
-    const n = Math.pow(2, zoom);
-    const x = Math.floor((lng + 180) / 360 * n);
-    const latRad = lat * Math.PI / 180;
-    const y = Math.floor((1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n);
-    return { x, y, z: zoom };
+function projectSummary(project) {
+    const inProject = item => item.projectId === project.id && isActive(item);
+    return {
+        ...project,
+        chipSettings: chipSettingsFor(project),
+        captureLimits: captureLimitsFor(project),
+        captureZoom: project.captureZoom ?? 'view',
+        labelCount: db.data.labels.filter(inProject).length,
+        boxCount: db.data.boxes.filter(inProject).length
+    };
 }
 
-function latLngToGlobalPixel(lat, lng, zoom, tileSize = 256) {
-    const n = Math.pow(2, zoom);
-    const globalX = (lng + 180) / 360 * n * tileSize;
-    const latRad = lat * Math.PI / 180;
-    const globalY = (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n * tileSize;
-    return { globalX, globalY };
-}
+// Sockets whose user lost access to a project leave its room (and are told so)
+function evictFromProject(projectId) {
+    const project = db.data.projects.find(p => p.id === projectId);
+    for (const socket of io.of('/').sockets.values()) {
+        if (socket.projectId !== projectId) continue;
+        if (project && (socket.user.role === 'admin' || project.members.includes(socket.user.id))) continue;
 
-function getTilesForBounds(bounds, zoom) {
-    const swTile = latLngToTile(bounds.south, bounds.west, zoom);
-    const neTile = latLngToTile(bounds.north, bounds.east, zoom);
+        socket.leave(projectRoom(projectId));
+        socket.projectId = null;
+        onlineUsers.delete(socket.id);
+        socket.emit('project:removed', { id: projectId });
+    }
+    emitOnlineUsers(projectId);
+}
 
-    const tiles = [];
-    const minX = Math.min(swTile.x, neTile.x);
-    const maxX = Math.max(swTile.x, neTile.x);
-    const minY = Math.min(swTile.y, neTile.y);
-    const maxY = Math.max(swTile.y, neTile.y);
+app.get('/api/projects', authenticateToken, asyncHandler(async (req, res) => {
+    res.json({
+        projects: projectsForUser(req.user).map(projectSummary),
+        currentId: resolveProject(req)?.id ?? null
+    });
+}));
 
-    for (let x = minX; x <= maxX; x++) {
-        for (let y = minY; y <= maxY; y++) {
-            tiles.push({ x, y, z: zoom });
-        }
+app.post('/api/projects', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const { name, description, tileUrl } = req.body;
+    if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Name is required' });
     }
 
-    return { tiles, gridWidth: maxX - minX + 1, gridHeight: maxY - minY + 1, minX, minY, maxX, maxY };
-}
+    if (db.data.projects.some(p => p.name === name.trim())) {
+        return res.status(400).json({ error: `A project named "${name.trim()}" already exists` });
+    }
+    const tileUrlError = checkTileUrl(null, tileUrl?.trim());
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
 
-async function downloadTile(z, x, y, tileUrlTemplate = DEFAULT_TILE_URL) {
-    const url = tileUrlTemplate
-        .replace('{z}', z)
-        .replace('{x}', x)
-        .replace('{y}', y)
-        .replace('{s}', ['a', 'b', 'c'][Math.floor(Math.random() * 3)]);
+    const id = db.nextId('projects');
+    const project = createProjectRecord(id, { name, description, tileUrl }, [req.user.id]);
 
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        const arrayBuffer = await response.arrayBuffer();
-        return Buffer.from(arrayBuffer);
-    } catch (err) {
-        console.error(`Error loading tile ${z}/${x}/${y}:`, err.message);
-        return await sharp({
-            create: { width: 256, height: 256, channels: 3, background: { r: 50, g: 50, b: 60 } }
-        }).jpeg().toBuffer();
-    }
-}
+    db.data.projects.push(project);
+    await db.write();
 
-async function createCompositeImage(tileGrid, tileSize = 256, tileUrl = DEFAULT_TILE_URL) {
-    const { tiles, gridWidth, gridHeight, minX, minY } = tileGrid;
-    const compositeWidth = gridWidth * tileSize;
-    const compositeHeight = gridHeight * tileSize;
+    console.log(`📁 Project ${id} "${project.name}" created by ${req.user.email}`);
 
-    const tileBuffers = await Promise.all(
-        tiles.map(async (tile) => ({
-            ...tile,
-            buffer: await downloadTile(tile.z, tile.x, tile.y, tileUrl)
-        }))
-    );
+    res.status(201).json(projectSummary(project));
+}));
 
-    const compositeInputs = tileBuffers.map(tile => ({
-        input: tile.buffer,
-        left: (tile.x - minX) * tileSize,
-        top: (tile.y - minY) * tileSize
-    }));
+app.put('/api/projects/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { name, description, tileUrl, chipSettings, captureLimits, captureZoom } = req.body;
 
-    const compositeImage = await sharp({
-        create: { width: compositeWidth, height: compositeHeight, channels: 3, background: { r: 0, g: 0, b: 0 } }
-    }).composite(compositeInputs).jpeg({ quality: 90 }).toBuffer();
+    const project = db.data.projects.find(p => p.id === id);
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
 
-    return { buffer: compositeImage, width: compositeWidth, height: compositeHeight };
-}
+    const tileUrlError = checkTileUrl(project, tileUrl?.trim());
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
 
-function calculateYoloForComposite(bounds, tileGrid, zoom, tileSize = 256) {
-    const { minX, minY, gridWidth, gridHeight } = tileGrid;
-    const compositeWidth = gridWidth * tileSize;
-    const compositeHeight = gridHeight * tileSize;
+    let parsedChips;
+    if (chipSettings !== undefined) {
+        parsedChips = parseChipSettings(chipSettings);
+        if (parsedChips.error) {
+            return res.status(400).json({ error: parsedChips.error });
+        }
+    }
 
-    const swPixel = latLngToGlobalPixel(bounds.south, bounds.west, zoom, tileSize);
-    const nePixel = latLngToGlobalPixel(bounds.north, bounds.east, zoom, tileSize);
+    let parsedLimits;
+    if (captureLimits !== undefined) {
+        parsedLimits = parseCaptureLimits(captureLimits);
+        if (parsedLimits.error) {
+            return res.status(400).json({ error: parsedLimits.error });
+        }
+    }
 
-    const offsetX = minX * tileSize;
-    const offsetY = minY * tileSize;
+    let parsedZoom;
+    if (captureZoom !== undefined) {
+        parsedZoom = parseCaptureZoom(captureZoom);
+        if (parsedZoom.error) {
+            return res.status(400).json({ error: parsedZoom.error });
+        }
+    }
 
-    const x1 = swPixel.globalX - offsetX;
-    const x2 = nePixel.globalX - offsetX;
-    const y1 = nePixel.globalY - offsetY;
-    const y2 = swPixel.globalY - offsetY;
+    if (name !== undefined) {
+        if (!name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        if (db.data.projects.some(p => p.id !== id && p.name === name.trim())) {
+            return res.status(400).json({ error: `A project named "${name.trim()}" already exists` });
+        }
+        project.name = name.trim();
+    }
+    if (description !== undefined) project.description = description?.trim() || '';
+    if (tileUrl !== undefined) project.tileUrl = tileUrl?.trim() || null;
+    // Only affects new captures; existing chips keep the frame they were rendered with
+    if (parsedChips) project.chipSettings = parsedChips.settings;
+    if (parsedLimits) project.captureLimits = parsedLimits.limits;
+    if (parsedZoom) project.captureZoom = parsedZoom.captureZoom;
 
-    const boxWidth = Math.abs(x2 - x1);
-    const boxHeight = Math.abs(y2 - y1);
-    const xCenter = (x1 + x2) / 2 / compositeWidth;
-    const yCenter = (y1 + y2) / 2 / compositeHeight;
+    await db.write();
 
-    return {
-        x_center: Math.max(0, Math.min(1, xCenter)),
-        y_center: Math.max(0, Math.min(1, yCenter)),
-        width: Math.max(0, Math.min(1, boxWidth / compositeWidth)),
-        height: Math.max(0, Math.min(1, boxHeight / compositeHeight)),
-        pixel: { x1: Math.round(x1), y1: Math.round(y1), x2: Math.round(x2), y2: Math.round(y2) }
-    };
-}
+    // 🔴 Emit real-time event
+    emitToProject(id, 'project:updated', projectSummary(project));
 
-// --- Labels API (with real-time sync) ---
+    res.json(projectSummary(project));
+}));
 
-app.get('/api/labels', authenticateToken, async (req, res) => {
-    await db.read();
-    res.json(db.data.labels);
-});
+app.put('/api/projects/:id/members', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { userIds } = req.body;
 
-app.post('/api/labels', authenticateToken, async (req, res) => {
-    const { name } = req.body;
-    if (!name || !name.trim()) {
-        return res.status(400).json({ error: 'Name is required' });
+    if (!Array.isArray(userIds)) {
+        return res.status(400).json({ error: 'userIds must be an array' });
     }
 
-    await db.read();
-    const labels = db.data.labels;
-
-    const existing = labels.find((l) => l.name === name.trim());
-    if (existing) return res.json(existing);
+    const project = db.data.projects.find(p => p.id === id);
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
 
-    const newLabel = {
-        id: labels.length ? Math.max(...labels.map((l) => l.id)) + 1 : 1,
-        name: name.trim(),
-        userId: req.user.id,
-        userEmail: req.user.email
-    };
-    labels.push(newLabel);
+    const known = new Set(db.data.users.map(u => u.id));
+    project.members = [...new Set(userIds.map(Number))].filter(userId => known.has(userId));
     await db.write();
 
-    // 🔴 Emit real-time event
-    emitToAll('label:created', newLabel);
+    evictFromProject(id);
 
-    res.status(201).json(newLabel);
-});
+    res.json(projectSummary(project));
+}));
 
-app.delete('/api/labels/:id', authenticateToken, async (req, res) => {
+app.delete('/api/projects/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
     const id = Number(req.params.id);
-    await db.read();
 
-    const index = db.data.labels.findIndex(l => l.id === id);
-    if (index === -1) {
-        return res.status(404).json({ error: 'Label not found' });
+    const project = db.data.projects.find(p => p.id === id);
+    if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
     }
-
-    const deletedLabel = db.data.labels[index];
-    const boxesToDelete = db.data.boxes.filter(b => b.labelId === id);
-
-    for (const box of boxesToDelete) {
-        if (box.image) {
-            const imagePath = path.join(__dirname, 'public', box.image);
-            try { await fs.unlink(imagePath); } catch (e) { /* ignore */ }
-        }
-        // 🔴 Emit box deleted for each box
-        emitToAll('box:deleted', { id: box.id });
+    if (db.data.projects.length <= 1) {
+        return res.status(400).json({ error: 'Cannot delete the last project' });
     }
 
-    db.data.labels.splice(index, 1);
-    db.data.boxes = db.data.boxes.filter(b => b.labelId !== id);
+    // Removes the project's data for good, including soft-deleted rows and images
+    const { labels, boxes, scenes } = projectData(project);
+    const images = collectImages(boxes, scenes);
+    const imagery = db.data.imagery.filter(i => i.projectId === id);
+
+    db.data.projects = db.data.projects.filter(p => p.id !== id);
+    db.data.labels = db.data.labels.filter(l => l.projectId !== id);
+    db.data.boxes = db.data.boxes.filter(b => b.projectId !== id);
+    db.data.scenes = db.data.scenes.filter(s => s.projectId !== id);
+    db.data.splits = db.data.splits.filter(s => s.projectId !== id);
+    db.data.imagery = db.data.imagery.filter(i => i.projectId !== id);
+    db.data.jobs = db.data.jobs.filter(j => j.projectId !== id);
     await db.write();
 
-    // 🔴 Emit real-time event
-    emitToAll('label:deleted', { id, deletedBy: req.user.email });
+    await removeImages(images);
+    await Promise.all(imagery.map(removeImagery));
+
+    evictFromProject(id);
+
+    console.log(`📁 Project ${id} "${project.name}" deleted by ${req.user.email}: ${boxes.length} box(es), ${scenes.length} scene(s), ${labels.length} label(s)`);
 
     res.json({ success: true });
-});
+}));
+
+// --- Tile Cache ---
+// Tiles are stored as tile_cache/<sourceKey>/<z>/<x>/<y>.tile, where sourceKey is a
+// hash of the URL template. The in-memory index keeps entries ordered from least to
+// most recently used; on startup it is rebuilt from file modification times.
+
+const tileCache = {
+    entries: new Map(), // relative path -> size in bytes
+    bytes: 0,
+    sources: {}, // sourceKey -> URL template
+    stats: { hits: 0, misses: 0, writes: 0, evictions: 0 }
+};
 
-// --- Boxes API (with real-time sync) ---
+const TILE_CACHE_SOURCES_FILE = path.join(TILE_CACHE_DIR, 'sources.json');
 
-app.get('/api/boxes', authenticateToken, async (req, res) => {
-    await db.read();
-    res.json(db.data.boxes);
-});
+function tileSourceKey(tileUrlTemplate) {
+    return createHash('sha1').update(tileUrlTemplate).digest('hex').slice(0, 12);
+}
 
-app.post('/api/boxes', authenticateToken, async (req, res) => {
-    const { labelId, labelName, bounds, zoom, tileUrl } = req.body;
+function tileCachePath(tileUrlTemplate, z, x, y) {
+    return path.join(tileSourceKey(tileUrlTemplate), String(z), String(x), `${y}.tile`);
+}
 
-    if (!labelId || !labelName || !bounds) {
-        return res.status(400).json({ error: 'labelId, labelName and bounds are required' });
+async function loadTileCacheIndex() {
+    try {
+        tileCache.sources = JSON.parse(await fs.readFile(TILE_CACHE_SOURCES_FILE, 'utf8'));
+    } catch (e) { /* no sources yet */ }
+
+    const found = [];
+    async function walk(dir) {
+        const dirents = await fs.readdir(dir, { withFileTypes: true });
+        for (const dirent of dirents) {
+            const fullPath = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                await walk(fullPath);
+            } else if (dirent.name.endsWith('.tile')) {
+                const stat = await fs.stat(fullPath);
+                found.push({ rel: path.relative(TILE_CACHE_DIR, fullPath), size: stat.size, mtime: stat.mtimeMs });
+            }
+        }
+    }
+    await walk(TILE_CACHE_DIR);
+
+    found.sort((a, b) => a.mtime - b.mtime);
+    tileCache.entries.clear();
+    tileCache.bytes = 0;
+    for (const entry of found) {
+        tileCache.entries.set(entry.rel, entry.size);
+        tileCache.bytes += entry.size;
     }
+}
 
-    await db.read();
+async function readCachedTile(tileUrlTemplate, z, x, y) {
+    const rel = tileCachePath(tileUrlTemplate, z, x, y);
+    if (!tileCache.entries.has(rel)) {
+        tileCache.stats.misses++;
+        return null;
+    }
 
-    const zoomLevel = zoom || 14;
-    const tileSize = 256;
-    const useTileUrl = tileUrl || DEFAULT_TILE_URL;
+    const fullPath = path.join(TILE_CACHE_DIR, rel);
+    try {
+        const buffer = await fs.readFile(fullPath);
 
-    const tileGrid = getTilesForBounds(bounds, zoomLevel);
-    const { tiles, gridWidth, gridHeight } = tileGrid;
+        // Move to the most recently used end and persist the access time for restarts
+        const size = tileCache.entries.get(rel);
+        tileCache.entries.delete(rel);
+        tileCache.entries.set(rel, size);
+        const now = new Date();
+        fs.utimes(fullPath, now, now).catch(() => { /* ignore */ });
 
-    const boxId = db.data.boxes.length ? Math.max(...db.data.boxes.map((b) => b.id)) + 1 : 1;
+        tileCache.stats.hits++;
+        return buffer;
+    } catch (err) {
+        // File vanished behind our back
+        tileCache.bytes -= tileCache.entries.get(rel);
+        tileCache.entries.delete(rel);
+        tileCache.stats.misses++;
+        return null;
+    }
+}
 
-    console.log(`📦 Box ${boxId} by ${req.user.email}: ${tiles.length} Tile(s)`);
+async function writeCachedTile(tileUrlTemplate, z, x, y, buffer) {
+    const rel = tileCachePath(tileUrlTemplate, z, x, y);
+    const fullPath = path.join(TILE_CACHE_DIR, rel);
 
-    let imageInfo;
     try {
-        const composite = await createCompositeImage(tileGrid, tileSize, useTileUrl);
-        const imageName = `box_${boxId}_${Date.now()}.jpg`;
-        const imagePath = path.join(TILES_DIR, imageName);
-        await fs.writeFile(imagePath, composite.buffer);
-        imageInfo = {
-            path: `/saved_tiles/${imageName}`,
-            width: composite.width,
-            height: composite.height
-        };
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, buffer);
     } catch (err) {
-        console.error('Error creating composite image:', err);
-        imageInfo = null;
+        console.error(`Error caching tile ${z}/${x}/${y}:`, err.message);
+        return;
     }
 
-    const yoloCoords = calculateYoloForComposite(bounds, tileGrid, zoomLevel, tileSize);
+    if (tileCache.entries.has(rel)) {
+        tileCache.bytes -= tileCache.entries.get(rel);
+        tileCache.entries.delete(rel);
+    }
+    tileCache.entries.set(rel, buffer.length);
+    tileCache.bytes += buffer.length;
+    tileCache.stats.writes++;
+
+    const sourceKey = tileSourceKey(tileUrlTemplate);
+    if (!tileCache.sources[sourceKey]) {
+        tileCache.sources[sourceKey] = tileUrlTemplate;
+        await fs.writeFile(TILE_CACHE_SOURCES_FILE, JSON.stringify(tileCache.sources, null, 2));
+    }
 
-    const newBox = {
-        id: boxId,
-        labelId,
-        labelName,
-        bounds,
-        zoom: zoomLevel,
-        tileUrl: useTileUrl,
-        tiles: tiles.map(t => ({ x: t.x, y: t.y, z: t.z })),
-        tileGrid: { width: gridWidth, height: gridHeight, minX: tileGrid.minX, minY: tileGrid.minY },
-        image: imageInfo ? imageInfo.path : null,
-        imageSize: imageInfo ? { width: imageInfo.width, height: imageInfo.height } : null,
-        yolo: yoloCoords,
-        userId: req.user.id,
-        userEmail: req.user.email,
-        createdAt: new Date().toISOString()
-    };
+    await evictTileCache();
+}
 
-    db.data.boxes.push(newBox);
-    await db.write();
+async function evictTileCache() {
+    while (tileCache.bytes > TILE_CACHE_MAX_BYTES && tileCache.entries.size > 0) {
+        const [rel, size] = tileCache.entries.entries().next().value;
+        tileCache.entries.delete(rel);
+        tileCache.bytes -= size;
+        tileCache.stats.evictions++;
+        try { await fs.unlink(path.join(TILE_CACHE_DIR, rel)); } catch (e) { /* ignore */ }
+    }
+}
 
-    // 🔴 Emit real-time event
-    emitToAll('box:created', newBox);
+async function purgeTileCache(sourceKey = null) {
+    let removed = 0;
+    for (const [rel, size] of tileCache.entries) {
+        if (sourceKey && !rel.startsWith(sourceKey + path.sep)) continue;
+        tileCache.entries.delete(rel);
+        tileCache.bytes -= size;
+        removed++;
+    }
 
-    res.status(201).json(newBox);
-});
+    const keys = sourceKey ? [sourceKey] : Object.keys(tileCache.sources);
+    for (const key of keys) {
+        await fs.rm(path.join(TILE_CACHE_DIR, key), { recursive: true, force: true });
+        delete tileCache.sources[key];
+    }
+    await fs.writeFile(TILE_CACHE_SOURCES_FILE, JSON.stringify(tileCache.sources, null, 2));
 
-app.delete('/api/boxes/:id', authenticateToken, async (req, res) => {
-    const id = Number(req.params.id);
-    await db.read();
+    return removed;
+}
 
-    const index = db.data.boxes.findIndex(b => b.id === id);
-    if (index === -1) {
-        return res.status(404).json({ error: 'Box not found' });
+function getTileCacheStats() {
+    const sources = {};
+    for (const [key, template] of Object.entries(tileCache.sources)) {
+        sources[key] = { key, tileUrl: template, entries: 0, bytes: 0 };
     }
+    for (const [rel, size] of tileCache.entries) {
+        const key = rel.split(path.sep)[0];
+        if (!sources[key]) sources[key] = { key, tileUrl: null, entries: 0, bytes: 0 };
+        sources[key].entries++;
+        sources[key].bytes += size;
+    }
+
+    const { hits, misses } = tileCache.stats;
+    return {
+        entries: tileCache.entries.size,
+        bytes: tileCache.bytes,
+        maxBytes: TILE_CACHE_MAX_BYTES,
+        ...tileCache.stats,
+        hitRate: hits + misses ? hits / (hits + misses) : 0,
+        sources: Object.values(sources)
+    };
+}
+
+await loadTileCacheIndex();
+
+// Time from which each source's next upstream request may start
+const sourceThrottles = new Map();
+
+// Spaces upstream requests of a source by its rate limit; throws an error with
+// `retryAfterMs` instead of waiting longer than maxWaitMs
+async function throttleTileSource(source, maxWaitMs = Infinity) {
+    if (!source?.rateLimit) return;
 
-    const box = db.data.boxes[index];
-    if (box.image) {
-        const imagePath = path.join(__dirname, 'public', box.image);
-        try { await fs.unlink(imagePath); } catch (e) { /* ignore */ }
+    const now = Date.now();
+    const start = Math.max(now, sourceThrottles.get(source.id) || 0);
+    if (start - now > maxWaitMs) {
+        const err = new Error('Tile source rate limit exceeded');
+        err.retryAfterMs = start - now;
+        throw err;
     }
 
-    db.data.boxes.splice(index, 1);
-    await db.write();
+    sourceThrottles.set(source.id, start + 1000 / source.rateLimit);
+    if (start > now) await new Promise(resolve => setTimeout(resolve, start - now));
+}
 
-    // 🔴 Emit real-time event
-    emitToAll('box:deleted', { id, deletedBy: req.user.email });
+// The original tile from the cache or the upstream server, with the source's credentials.
+// High-DPI sources get their @2x tiles through the {r} placeholder (cached apart from the others).
+async function fetchSourceTile(tileUrlTemplate, z, x, y, maxWaitMs = Infinity) {
+    const source = tileSourceForTemplate(tileUrlTemplate);
+    const template = tileUrlTemplate.replace('{r}', source?.hiDpi ? '@2x' : '');
 
-    res.json({ success: true });
-});
+    const cached = await readCachedTile(template, z, x, y);
+    if (cached) return cached;
 
-// --- YOLO Export API ---
+    await throttleTileSource(source, maxWaitMs);
 
-app.get('/api/export/yolo', authenticateToken, async (req, res) => {
-    await db.read();
+    const url = fillTileUrl(template, z, x, y).replace('{apiKey}', encodeURIComponent(source?.apiKey || ''));
+    let response;
+    let buffer;
+    try {
+        response = await fetch(url, { headers: source?.headers || {}, signal: AbortSignal.timeout(TILE_FETCH_TIMEOUT_MS) });
+        if (response.ok) buffer = Buffer.from(await response.arrayBuffer());
+    } catch (err) {
+        if (err.name === 'TimeoutError') throw new Error(`Timed out after ${TILE_FETCH_TIMEOUT_MS / 1000}s`);
+        throw err;
+    }
+    if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
 
-    const { boxes, labels } = db.data;
+    // Error pages sent with 200 must not end up in the cache
+    try {
+        await sharp(buffer).metadata();
+    } catch (e) {
+        const err = new Error(`Not an image (${response.headers.get('content-type') || 'unknown type'})`);
+        err.status = response.status;
+        throw err;
+    }
 
-    const labelToClass = {};
-    labels.forEach((label, index) => {
-        labelToClass[label.id] = index;
-    });
+    await writeCachedTile(template, z, x, y, buffer);
+    return buffer;
+}
 
-    const imageAnnotations = boxes
-        .filter(box => box.image && box.yolo)
-        .map(box => {
-            const classId = labelToClass[box.labelId];
-            if (classId === undefined) return null;
+// A tile of tileSize×tileSize pixels for composites as { buffer, failure }. Tiles that
+// can't be loaded are filled with a dark placeholder and described by `failure`.
+async function downloadTile(z, x, y, tileUrlTemplate = DEFAULT_TILE_URL, tileSize = 256) {
+    try {
+        const imagery = imageryForTemplate(tileUrlTemplate);
+        const buffer = imagery ? await imageryTile(imagery, z, x, y) : await fetchSourceTile(tileUrlTemplate, z, x, y);
+        // A source or imagery that doesn't deliver tiles of this size must not break the stitching
+        const { width, height } = await sharp(buffer).metadata();
+        return {
+            buffer: width === tileSize && height === tileSize ? buffer : await sharp(buffer).resize(tileSize, tileSize).toBuffer(),
+            failure: null
+        };
+    } catch (err) {
+        console.error(`Error loading tile ${z}/${x}/${y}:`, err.message);
+        const buffer = await sharp({
+            create: { width: tileSize, height: tileSize, channels: 3, background: { r: 50, g: 50, b: 60 } }
+        }).jpeg().toBuffer();
+        return { buffer, failure: { z, x, y, status: err.status ?? null, error: err.message } };
+    }
+}
 
-            return {
-                boxId: box.id,
-                imagePath: box.image,
-                imageSize: box.imageSize,
-                tileCount: box.tiles.length,
-                gridSize: box.tileGrid ? `${box.tileGrid.width}x${box.tileGrid.height}` : '1x1',
-                annotation: {
-                    classId,
-                    labelName: box.labelName,
-                    x_center: box.yolo.x_center.toFixed(6),
-                    y_center: box.yolo.y_center.toFixed(6),
-                    width: box.yolo.width.toFixed(6),
-                    height: box.yolo.height.toFixed(6),
-                    pixel: box.yolo.pixel
-                },
-                yoloLine: `${classId} ${box.yolo.x_center.toFixed(6)} ${box.yolo.y_center.toFixed(6)} ${box.yolo.width.toFixed(6)} ${box.yolo.height.toFixed(6)}`
-            };
-        })
-        .filter(Boolean);
+// --- Tile Sources ---
+// Boxes and scenes are only rendered from tile sources an admin registered (or from
+// the project's uploaded imagery). Credentials - request headers and an API key that
+// fills an {apiKey} placeholder - stay on the server: the map loads registered sources
+// through the /tiles proxy.
 
-    const classesContent = labels.map(l => l.name).join('\n');
+const TILE_SIZES = [256, 512];
 
-    res.json({
-        classes: labels.map((l, i) => ({ id: i, name: l.name })),
-        classesFile: classesContent,
-        images: imageAnnotations,
-        totalBoxes: boxes.length,
-        totalImages: imageAnnotations.length
+function createTileSourceRecord(id, {
+    name, url, maxZoom = 18, attribution = '', tileSize = 256, hiDpi = false, headers = {}, apiKey = null,
+    rateLimit = DEFAULT_TILE_RATE_LIMIT
+}) {
+    return {
+        id,
+        name: name.trim(),
+        url: url.trim(),
+        maxZoom,
+        attribution,
+        tileSize,
+        hiDpi,
+        headers,
+        apiKey,
+        rateLimit,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Validates a new source or changes to `existing`; returns { source } or { error }
+function parseTileSource(body, existing = {}) {
+    const fields = ['name', 'url', 'maxZoom', 'attribution', 'tileSize', 'hiDpi', 'headers', 'apiKey', 'rateLimit'];
+    const source = { ...existing };
+    fields.forEach(field => {
+        if (body[field] !== undefined) source[field] = body[field];
     });
-});
 
-// --- DB API ---
+    if (!String(source.name ?? '').trim()) {
+        return { error: 'Name is required' };
+    }
+    const url = String(source.url ?? '').trim();
+    const hasXyz = ['{z}', '{x}', '{y}'].every(part => url.includes(part));
+    if (!/^https?:\/\//.test(url) || !(hasXyz || url.includes('{bbox}'))) {
+        return { error: 'url must be an http(s) template with {z}, {x} and {y} (or {bbox})' };
+    }
+    const maxZoom = Number(source.maxZoom ?? 18);
+    if (!Number.isInteger(maxZoom) || maxZoom < 0 || maxZoom > MAX_ZOOM) {
+        return { error: `maxZoom must be an integer between 0 and ${MAX_ZOOM}` };
+    }
+    const tileSize = Number(source.tileSize ?? 256);
+    if (!TILE_SIZES.includes(tileSize)) {
+        return { error: `tileSize must be one of: ${TILE_SIZES.join(', ')}` };
+    }
+    const hiDpi = Boolean(source.hiDpi);
+    if (hiDpi && !url.includes('{r}')) {
+        return { error: 'High-DPI sources need an {r} placeholder in their url (filled with @2x)' };
+    }
+    const headers = source.headers ?? {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+        return { error: 'headers must be an object of strings' };
+    }
+    const rateLimit = Number(source.rateLimit ?? DEFAULT_TILE_RATE_LIMIT);
+    if (!Number.isFinite(rateLimit) || rateLimit < 0) {
+        return { error: 'rateLimit must be a number of requests per second (0 for no limit)' };
+    }
 
-app.get('/api/db', authenticateToken, async (req, res) => {
-    await db.read();
-    const safeData = {
-        ...db.data,
-        users: db.data.users.map(u => ({ id: u.id, email: u.email, role: u.role, createdAt: u.createdAt }))
+    return {
+        source: {
+            name: String(source.name).trim(),
+            url,
+            maxZoom,
+            attribution: String(source.attribution ?? ''),
+            tileSize,
+            hiDpi,
+            headers,
+            apiKey: source.apiKey ? String(source.apiKey) : null,
+            rateLimit
+        }
     };
-    res.json(safeData);
-});
+}
 
-app.delete('/api/db/reset', authenticateToken, requireAdmin, async (req, res) => {
-    try {
-        const files = await fs.readdir(TILES_DIR);
-        for (const file of files) {
-            await fs.unlink(path.join(TILES_DIR, file));
-        }
-    } catch (e) { /* ignore */ }
-
-    const users = db.data.users;
-    db.data = {
-        users,
-        labels: [],
-        boxes: [],
-        tileSize: 256
-    };
-    await db.write();
+// What users see of a source; only admins see its credentials
+function publicTileSource(source, user) {
+    if (user.role === 'admin') return source;
+    const { headers, apiKey, ...rest } = source;
+    return { ...rest, hasCredentials: Boolean(apiKey || Object.keys(headers).length) };
+}
 
-    // 🔴 Emit real-time event
-    emitToAll('db:reset', { resetBy: req.user.email });
+function tileSourceForTemplate(tileUrlTemplate) {
+    return db.data.tileSources.find(s => s.url === tileUrlTemplate) || null;
+}
 
-    res.json({ success: true, message: 'Database reset' });
-});
+// Pixel size of the tiles behind a template, which composites are stitched at:
+// 512 for 512px sources, doubled for high-DPI (@2x) sources, 256 for everything else
+function tilePixelSize(tileUrlTemplate) {
+    const source = tileSourceForTemplate(tileUrlTemplate);
+    if (!source) return 256;
+    return source.tileSize * (source.hiDpi ? 2 : 1);
+}
 
-// --- Static Files ---
-app.use(express.static(path.join(__dirname, 'public')));
+// Deepest zoom level a tile source or uploaded imagery has tiles for
+function tileMaxZoom(tileUrlTemplate) {
+    return tileSourceForTemplate(tileUrlTemplate)?.maxZoom ?? imageryForTemplate(tileUrlTemplate)?.maxZoom ?? 18;
+}
 
-// --- HTML Page Routes ---
+// Where boxes are rendered from when the client names no source
+function defaultTileUrl(project) {
+    return project.tileUrl || db.data.tileSources[0]?.url || DEFAULT_TILE_URL;
+}
+
+// Client-supplied tile URLs must be a registered source or the project's own imagery;
+// returns an error message or null
+function checkTileUrl(project, tileUrl) {
+    if (!tileUrl || tileSourceForTemplate(tileUrl)) return null;
+    if (project && imageryForTemplate(tileUrl)?.projectId === project.id) return null;
+    return 'tileUrl is not an approved tile source';
+}
+
+// --- OGC Sources (WMS / WMTS) ---
+// WMS and WMTS layers are turned into tile URL templates like any XYZ source, so they
+// are cached, stored on boxes and used as project defaults the same way. WMS templates
+// carry a {bbox} placeholder that is filled with the tile's EPSG:3857 bounding box.
+// WMTS layers need a Web Mercator (GoogleMapsCompatible-style) tile matrix set.
+// Capabilities parsing is in lib/ogc.js
+
+const OGC_TYPES = ['wms', 'wmts'];
+// A service that doesn't answer by then must not hold the request open
+const OGC_FETCH_TIMEOUT_MS = 10000;
+const WEB_MERCATOR_EXTENT = 20037508.342789244;
+
+function tileBbox3857(x, y, z) {
+    const size = WEB_MERCATOR_EXTENT * 2 / Math.pow(2, z);
+    const minX = -WEB_MERCATOR_EXTENT + x * size;
+    const maxY = WEB_MERCATOR_EXTENT - y * size;
+    return [minX, maxY - size, minX + size, maxY].join(',');
+}
+
+function fillTileUrl(template, z, x, y) {
+    return template
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{s}', ['a', 'b', 'c'][Math.floor(Math.random() * 3)])
+        .replace('{bbox}', () => tileBbox3857(x, y, z));
+}
+
+async function fetchCapabilities(type, url) {
+    let response;
+    try {
+        response = await fetch(capabilitiesUrl(type, url), { signal: AbortSignal.timeout(OGC_FETCH_TIMEOUT_MS) });
+    } catch (err) {
+        if (err.name === 'TimeoutError') throw new Error(`GetCapabilities timed out after ${OGC_FETCH_TIMEOUT_MS / 1000}s`);
+        throw err;
+    }
+    if (!response.ok) throw new Error(`GetCapabilities failed: HTTP ${response.status}`);
+
+    const doc = parseXml(await response.text());
+    const capabilities = type === 'wms' ? parseWmsCapabilities(doc, url) : parseWmtsCapabilities(doc, url);
+    if (!capabilities.layers.length) throw new Error(`No ${type.toUpperCase()} layers found`);
+    return capabilities;
+}
+
+// --- Uploaded Imagery (GeoTIFF / MBTiles) ---
+// Private imagery is served by this server as an XYZ source with the template
+// /imagery/<id>/{z}/{x}/{y}, and composites read it from disk instead of the network.
+// GeoTIFFs are reprojected to Web Mercator once on upload (one affine transform for
+// the whole image, exact for Web Mercator and close enough for orthophotos in
+// WGS84/ETRS89 lat/lng or UTM) and stored as a tiled TIFF that tiles are cut from.
+
+const MERCATOR_RADIUS = 6378137;
+const GEOTIFF_TAGS = { width: 256, height: 257, pixelScale: 33550, tiepoint: 33922, transformation: 34264, geoKeys: 34735 };
+const TIFF_TYPE_SIZES = { 1: 1, 3: 2, 4: 4, 11: 4, 12: 8, 16: 8 };
+
+// The GeoTIFF tags of the first image; reads classic TIFF and BigTIFF
+async function readGeoTiffTags(filePath) {
+    const file = await fs.open(filePath, 'r');
+    try {
+        const read = async (offset, length) => {
+            const buffer = Buffer.alloc(length);
+            await file.read(buffer, 0, length, offset);
+            return buffer;
+        };
+
+        const header = await read(0, 16);
+        const order = header.toString('latin1', 0, 2);
+        if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+        const le = order === 'II';
+
+        const u16 = (buf, o) => le ? buf.readUInt16LE(o) : buf.readUInt16BE(o);
+        const u32 = (buf, o) => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+        const u64 = (buf, o) => Number(le ? buf.readBigUInt64LE(o) : buf.readBigUInt64BE(o));
+        const value = (buf, o, type) => ({
+            1: () => buf.readUInt8(o),
+            3: () => u16(buf, o),
+            4: () => u32(buf, o),
+            11: () => le ? buf.readFloatLE(o) : buf.readFloatBE(o),
+            12: () => le ? buf.readDoubleLE(o) : buf.readDoubleBE(o),
+            16: () => u64(buf, o)
+        })[type]();
+
+        const big = u16(header, 2) === 43;
+        const ifdOffset = big ? u64(header, 8) : u32(header, 4);
+        const count = big ? u64(await read(ifdOffset, 8), 0) : u16(await read(ifdOffset, 2), 0);
+        const entrySize = big ? 20 : 12;
+        const entries = await read(ifdOffset + (big ? 8 : 2), count * entrySize);
+
+        const wanted = new Set(Object.values(GEOTIFF_TAGS));
+        const tags = {};
+        for (let i = 0; i < count; i++) {
+            const entry = i * entrySize;
+            const tag = u16(entries, entry);
+            const type = u16(entries, entry + 2);
+            const size = TIFF_TYPE_SIZES[type];
+            if (!wanted.has(tag) || !size) continue;
+
+            const n = big ? u64(entries, entry + 4) : u32(entries, entry + 4);
+            const valueAt = entry + (big ? 12 : 8);
+            const data = n * size <= (big ? 8 : 4)
+                ? entries.subarray(valueAt, valueAt + n * size)
+                : await read(big ? u64(entries, valueAt) : u32(entries, valueAt), n * size);
+            tags[tag] = Array.from({ length: n }, (_, k) => value(data, k * size, type));
+        }
+        return tags;
+    } finally {
+        await file.close();
+    }
+}
+
+// Inverse transverse Mercator on the WGS84 ellipsoid (GRS80 differs by less than a millimetre)
+function utmToLatLng(easting, northing, zone, south) {
+    const a = MERCATOR_RADIUS, f = 1 / 298.257223563, k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const mu = (south ? northing - 10000000 : northing) / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const phi = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+    const n = a / Math.sqrt(1 - e2 * sin * sin);
+    const r = a * (1 - e2) / Math.pow(1 - e2 * sin * sin, 1.5);
+    const t = tan * tan, c = ep2 * cos * cos;
+    const d = x / (n * k0);
+
+    const lat = phi - (n * tan / r) * (d ** 2 / 2 - (5 + 3 * t + 10 * c - 4 * c * c - 9 * ep2) * d ** 4 / 24 +
+        (61 + 90 * t + 298 * c + 45 * t * t - 252 * ep2 - 3 * c * c) * d ** 6 / 720);
+    const lng = (zone * 6 - 183) * Math.PI / 180 +
+        (d - (1 + 2 * t + c) * d ** 3 / 6 + (5 - 2 * c + 28 * t - 3 * c * c + 8 * ep2 + 24 * t * t) * d ** 5 / 120) / cos;
+
+    return { lat: lat * 180 / Math.PI, lng: lng * 180 / Math.PI };
+}
+
+// Model coordinates of a supported EPSG code to lat/lng, or null
+function crsToLatLng(epsg) {
+    if (epsg === 4326 || epsg === 4258) return (x, y) => ({ lat: y, lng: x });
+    if (epsg === 3857 || epsg === 900913 || epsg === 3785) {
+        return (x, y) => ({
+            lat: Math.atan(Math.sinh(y / MERCATOR_RADIUS)) * 180 / Math.PI,
+            lng: x / MERCATOR_RADIUS * 180 / Math.PI
+        });
+    }
+    // WGS84 UTM north/south and ETRS89 UTM
+    const utm = epsg >= 32601 && epsg <= 32660 ? { zone: epsg - 32600, south: false }
+        : epsg >= 32701 && epsg <= 32760 ? { zone: epsg - 32700, south: true }
+            : epsg >= 25828 && epsg <= 25838 ? { zone: epsg - 25800, south: false }
+                : null;
+    return utm && ((x, y) => utmToLatLng(x, y, utm.zone, utm.south));
+}
+
+function latLngToMercator({ lat, lng }) {
+    return {
+        x: lng * Math.PI / 180 * MERCATOR_RADIUS,
+        y: Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) * MERCATOR_RADIUS
+    };
+}
+
+// Pixel (col, row) of the raster to Web Mercator metres, as an affine transform
+function geoTiffTransform(tags) {
+    const keys = tags[GEOTIFF_TAGS.geoKeys];
+    if (!keys) throw new Error('The TIFF has no georeferencing (GeoKeyDirectory)');
+
+    const geoKeys = {};
+    for (let i = 4; i + 3 < keys.length && i < 4 + keys[3] * 4; i += 4) {
+        if (keys[i + 1] === 0) geoKeys[keys[i]] = keys[i + 3];
+    }
+    // GTModelType 2 is geographic, otherwise the projected CRS applies
+    const epsg = geoKeys[1024] === 2 ? geoKeys[2048] : geoKeys[3072];
+    const toLatLng = crsToLatLng(epsg);
+    if (!toLatLng) {
+        throw new Error(`Unsupported CRS EPSG:${epsg ?? 'unknown'} (supported: WGS84/ETRS89 lat/lng, Web Mercator, UTM)`);
+    }
+
+    let model;
+    if (tags[GEOTIFF_TAGS.transformation]) {
+        const [a, b, , d, e, f, , h] = tags[GEOTIFF_TAGS.transformation];
+        model = (col, row) => [a * col + b * row + d, e * col + f * row + h];
+    } else if (tags[GEOTIFF_TAGS.pixelScale] && tags[GEOTIFF_TAGS.tiepoint]) {
+        const [scaleX, scaleY] = tags[GEOTIFF_TAGS.pixelScale];
+        const [i, j, , x, y] = tags[GEOTIFF_TAGS.tiepoint];
+        model = (col, row) => [x + (col - i) * scaleX, y - (row - j) * scaleY];
+    } else {
+        throw new Error('The TIFF has no pixel-to-map transform');
+    }
+
+    const width = tags[GEOTIFF_TAGS.width][0];
+    const height = tags[GEOTIFF_TAGS.height][0];
+    const corner = (col, row) => latLngToMercator(toLatLng(...model(col, row)));
+    const origin = corner(0, 0);
+    const right = corner(width, 0);
+    const down = corner(0, height);
+
+    return {
+        width,
+        height,
+        origin,
+        // Mercator metres per pixel step along a row (col) and a column (row)
+        col: { x: (right.x - origin.x) / width, y: (right.y - origin.y) / width },
+        row: { x: (down.x - origin.x) / height, y: (down.y - origin.y) / height }
+    };
+}
+
+// Warps a GeoTIFF into a north-up Web Mercator raster; returns its extent in metres
+async function normalizeGeoTiff(inputPath, outputPath) {
+    const { width, height, origin, col, row } = geoTiffTransform(await readGeoTiffTags(inputPath));
+
+    // Square output pixels of the same area as the input pixels
+    const resolution = Math.sqrt(Math.abs(col.x * row.y - col.y * row.x));
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+        .map(([c, r]) => ({ x: origin.x + c * col.x + r * row.x, y: origin.y + c * col.y + r * row.y }));
+    const minX = Math.min(...corners.map(p => p.x));
+    const maxY = Math.max(...corners.map(p => p.y));
+
+    // sharp sizes the output to the bounding box of the transformed image
+    const info = await sharp(inputPath, { limitInputPixels: IMAGERY_MAX_PIXELS })
+        .ensureAlpha()
+        .affine([[col.x / resolution, row.x / resolution], [-col.y / resolution, -row.y / resolution]], {
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        })
+        .tiff({ tile: true, compression: 'deflate' })
+        .toFile(outputPath);
+
+    return {
+        minX,
+        maxY,
+        maxX: minX + info.width * resolution,
+        minY: maxY - info.height * resolution,
+        resolution,
+        width: info.width,
+        height: info.height
+    };
+}
+
+function mercatorToLatLng(x, y) {
+    return {
+        lat: Math.atan(Math.sinh(y / MERCATOR_RADIUS)) * 180 / Math.PI,
+        lng: x / MERCATOR_RADIUS * 180 / Math.PI
+    };
+}
+
+const emptyTile = sharp({
+    create: { width: 256, height: 256, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+}).png().toBuffer();
+
+// The 256px tile z/x/y cut from a normalized GeoTIFF
+async function geoTiffTile(imagery, z, x, y) {
+    const { extent } = imagery;
+    const span = WEB_MERCATOR_EXTENT * 2 / Math.pow(2, z);
+    const tileMinX = -WEB_MERCATOR_EXTENT + x * span;
+    const tileMaxY = WEB_MERCATOR_EXTENT - y * span;
+
+    // Tile window in raster pixels, clipped to the raster
+    const left = (tileMinX - extent.minX) / extent.resolution;
+    const top = (extent.maxY - tileMaxY) / extent.resolution;
+    const size = span / extent.resolution;
+    const x1 = Math.max(0, Math.floor(left)), y1 = Math.max(0, Math.floor(top));
+    const x2 = Math.min(extent.width, Math.ceil(left + size)), y2 = Math.min(extent.height, Math.ceil(top + size));
+    if (x2 <= x1 || y2 <= y1) return emptyTile;
+
+    // Where the clipped window lands in the tile; rounding must not push it past the edge
+    const scale = 256 / size;
+    const offsetLeft = Math.min(255, Math.max(0, Math.round((x1 - left) * scale)));
+    const offsetTop = Math.min(255, Math.max(0, Math.round((y1 - top) * scale)));
+    const width = Math.max(1, Math.min(256 - offsetLeft, Math.round((x2 - x1) * scale)));
+    const height = Math.max(1, Math.min(256 - offsetTop, Math.round((y2 - y1) * scale)));
+
+    const part = await sharp(path.join(IMAGERY_DIR, imagery.file), { limitInputPixels: IMAGERY_MAX_PIXELS * 2 })
+        .extract({ left: x1, top: y1, width: x2 - x1, height: y2 - y1 })
+        .resize(width, height, { fit: 'fill' })
+        .png()
+        .toBuffer();
+
+    return sharp(await emptyTile)
+        .composite([{ input: part, left: offsetLeft, top: offsetTop }])
+        .png()
+        .toBuffer();
+}
+
+const mbtilesConnections = new Map();
+
+function openMbtiles(filePath) {
+    if (!mbtilesConnections.has(filePath)) {
+        mbtilesConnections.set(filePath, new Database(filePath, { readonly: true, fileMustExist: true }));
+    }
+    return mbtilesConnections.get(filePath);
+}
+
+function closeMbtiles(filePath) {
+    mbtilesConnections.get(filePath)?.close();
+    mbtilesConnections.delete(filePath);
+}
+
+// Zoom range and lat/lng bounds of an MBTiles file, from its metadata or its tiles
+function readMbtilesInfo(filePath) {
+    const mbtiles = openMbtiles(filePath);
+    const metadata = Object.fromEntries(mbtiles.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value]));
+    const zooms = mbtiles.prepare('SELECT MIN(zoom_level) AS min, MAX(zoom_level) AS max FROM tiles').get();
+    if (zooms.max === null) throw new Error('The MBTiles file has no tiles');
+
+    const [west, south, east, north] = (metadata.bounds || '-180,-85.0511,180,85.0511').split(',').map(Number);
+    return {
+        name: metadata.name || null,
+        format: metadata.format || 'png',
+        minZoom: Number(metadata.minzoom ?? zooms.min),
+        maxZoom: Number(metadata.maxzoom ?? zooms.max),
+        bounds: { south, west, north, east }
+    };
+}
+
+// MBTiles rows are TMS (y counted from the south); zooms past the file's deepest level
+// are cut from the parent tile there, at the size of the file's tiles
+async function mbtilesTile(imagery, z, x, y) {
+    const mbtiles = openMbtiles(path.join(IMAGERY_DIR, imagery.file));
+    const depth = Math.max(0, z - imagery.maxZoom);
+    const pz = z - depth, px = x >> depth, py = y >> depth;
+
+    const row = mbtiles.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+        .get(pz, px, Math.pow(2, pz) - 1 - py);
+    if (!row) return emptyTile;
+    if (!depth) return row.tile_data;
+
+    const { width } = await sharp(row.tile_data).metadata();
+    const size = width / Math.pow(2, depth);
+    return sharp(row.tile_data)
+        .extract({
+            left: Math.floor((x - (px << depth)) * size),
+            top: Math.floor((y - (py << depth)) * size),
+            width: Math.max(1, Math.floor(size)),
+            height: Math.max(1, Math.floor(size))
+        })
+        .resize(width, width, { kernel: 'nearest' })
+        .png()
+        .toBuffer();
+}
+
+function imageryTileUrl(imagery) {
+    return `/imagery/${imagery.id}/{z}/{x}/{y}`;
+}
+
+function imageryForTemplate(tileUrlTemplate) {
+    const match = /^\/imagery\/(\d+)\//.exec(tileUrlTemplate);
+    return match ? db.data.imagery.find(i => i.id === Number(match[1])) || null : null;
+}
+
+// GeoTIFF tiles are cut on demand and kept in the tile cache; MBTiles tiles already exist
+async function imageryTile(imagery, z, x, y) {
+    if (imagery.type === 'mbtiles') return mbtilesTile(imagery, z, x, y);
+
+    const template = imageryTileUrl(imagery);
+    const cached = await readCachedTile(template, z, x, y);
+    if (cached) return cached;
+
+    const buffer = await geoTiffTile(imagery, z, x, y);
+    await writeCachedTile(template, z, x, y, buffer);
+    return buffer;
+}
+
+async function removeImagery(imagery) {
+    const filePath = path.join(IMAGERY_DIR, imagery.file);
+    if (imagery.type === 'mbtiles') closeMbtiles(filePath);
+    await fs.rm(filePath, { force: true });
+    await purgeTileCache(tileSourceKey(imageryTileUrl(imagery)));
+}
+
+// --- Chip Frames ---
+// Frame geometry and capture limits are in lib/frames.js; this renders the frames
+
+const LETTERBOX_COLOR = { r: 114, g: 114, b: 114 }; // The padding gray of Ultralytics
+
+// Zoom new images are rendered at: the annotator's map zoom ('view'), the source's
+// max zoom ('max') or a fixed level per project
+const CAPTURE_ZOOM_MODES = ['view', 'max'];
+
+// An integer zoom level from 0 to MAX_ZOOM, or null
+function parseZoomLevel(value) {
+    const zoom = Number(value);
+    if (value === null || value === '' || !Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) return null;
+    return zoom;
+}
+
+function parseCaptureZoom(captureZoom) {
+    if (CAPTURE_ZOOM_MODES.includes(captureZoom)) return { captureZoom };
+    const zoom = parseZoomLevel(captureZoom);
+    if (zoom === null) {
+        return { error: `Capture zoom must be ${CAPTURE_ZOOM_MODES.join(', ')} or an integer between 0 and ${MAX_ZOOM}` };
+    }
+    return { captureZoom: zoom };
+}
+
+// The zoom to render at for a drawing made at `viewZoom`; all levels stop at the
+// source's max zoom, where it has no deeper tiles
+function captureZoomFor(project, tileUrl, viewZoom) {
+    const setting = project.captureZoom ?? 'view';
+    const maxZoom = tileMaxZoom(tileUrl || defaultTileUrl(project));
+    if (setting === 'view') {
+        const zoom = parseZoomLevel(viewZoom);
+        if (zoom === null) return { error: `zoom must be an integer between 0 and ${MAX_ZOOM}` };
+        return { zoom: Math.min(zoom, maxZoom) };
+    }
+    return { zoom: setting === 'max' ? maxZoom : Math.min(setting, maxZoom) };
+}
+
+// Ground sampling distance: metres of ground per image pixel at the centre of the bounds
+function groundSampleDistance(bounds, zoom, tileSize = 256, scale = 1) {
+    const lat = (bounds.north + bounds.south) / 2 * Math.PI / 180;
+    const metresPerPixel = 2 * Math.PI * MERCATOR_RADIUS * Math.cos(lat) / (tileSize * 2 ** zoom);
+    return Number((metresPerPixel / scale).toPrecision(4));
+}
+
+// Pixel size of the tiles a scene's or box's image was stitched from (256 before per-source tile sizes)
+function imageTileSize(record) {
+    return record.tileSize || 256;
+}
+
+// Frame of a stored scene or standalone box; images from before chip settings show their whole tile grid
+function imageFrame(record) {
+    return record.frame || nativeFrame({
+        minX: record.tileGrid.minX,
+        minY: record.tileGrid.minY,
+        gridWidth: record.tileGrid.width,
+        gridHeight: record.tileGrid.height
+    }, imageTileSize(record));
+}
+
+// `onProgress(done, total)` is called as the tiles come in
+async function createCompositeImage(frame, zoom, tileSize = 256, tileUrl = DEFAULT_TILE_URL, onProgress = null) {
+    const { tiles, gridWidth, gridHeight, minX, minY } = frameTileGrid(frame, zoom, tileSize);
+    const compositeWidth = gridWidth * tileSize;
+    const compositeHeight = gridHeight * tileSize;
+
+    let done = 0;
+    const tileBuffers = await Promise.all(
+        tiles.map(async (tile) => {
+            const downloaded = await downloadTile(tile.z, tile.x, tile.y, tileUrl, tileSize);
+            onProgress?.(++done, tiles.length);
+            return { ...tile, ...downloaded };
+        })
+    );
+    const failedTiles = tileBuffers.filter(tile => tile.failure).map(tile => tile.failure);
+
+    const compositeInputs = tileBuffers.map(tile => ({
+        input: tile.buffer,
+        left: (tile.x - minX) * tileSize,
+        top: (tile.y - minY) * tileSize
+    }));
+
+    const composite = sharp({
+        create: { width: compositeWidth, height: compositeHeight, channels: 3, background: { r: 0, g: 0, b: 0 } }
+    }).composite(compositeInputs);
+
+    // The tile grid is the image, unless the frame crops, scales or pads it
+    const left = frame.originX - minX * tileSize;
+    const top = frame.originY - minY * tileSize;
+    if (left === 0 && top === 0 && frame.width === compositeWidth && frame.height === compositeHeight &&
+        frame.outWidth === compositeWidth && frame.outHeight === compositeHeight) {
+        const compositeImage = await composite.jpeg({ quality: 90 }).toBuffer();
+        return { buffer: compositeImage, width: compositeWidth, height: compositeHeight, failedTiles };
+    }
+
+    // sharp composites last, so cropping needs a second pass over the stitched pixels
+    const { data, info } = await composite.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const width = Math.round(frame.width * frame.scale);
+    const height = Math.round(frame.height * frame.scale);
+
+    const chipImage = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .extract({ left, top, width: frame.width, height: frame.height })
+        .resize(width, height)
+        .extend({
+            top: frame.padY,
+            left: frame.padX,
+            bottom: frame.outHeight - height - frame.padY,
+            right: frame.outWidth - width - frame.padX,
+            background: LETTERBOX_COLOR
+        })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+
+    return { buffer: chipImage, width: frame.outWidth, height: frame.outHeight, failedTiles };
+}
+
+// Tiles that couldn't be loaded, and whether the image shows placeholders instead
+function imageHealth(imageInfo) {
+    const failedTiles = imageInfo?.failedTiles || [];
+    return { failedTiles, degraded: failedTiles.length > 0 };
+}
+
+// Image fields of a new scene or standalone box until its image job has run
+function pendingImage() {
+    return { image: null, imageSize: null, ...imageHealth(null), imageStatus: 'pending' };
+}
+
+async function saveCompositeImage(prefix, frame, zoom, tileSize = 256, tileUrl = DEFAULT_TILE_URL, onProgress = null) {
+    try {
+        const composite = await createCompositeImage(frame, zoom, tileSize, tileUrl, onProgress);
+        const imageName = `${prefix}_${Date.now()}.jpg`;
+        await fs.writeFile(path.join(TILES_DIR, imageName), composite.buffer);
+        return {
+            path: `/saved_tiles/${imageName}`,
+            width: composite.width,
+            height: composite.height,
+            failedTiles: composite.failedTiles
+        };
+    } catch (err) {
+        console.error('Error creating composite image:', err);
+        return null;
+    }
+}
+
+// Intersection of two lat/lng bounds, or null if they don't overlap
+function clipBounds(bounds, container) {
+    const clipped = {
+        south: Math.max(bounds.south, container.south),
+        west: Math.max(bounds.west, container.west),
+        north: Math.min(bounds.north, container.north),
+        east: Math.min(bounds.east, container.east)
+    };
+    if (clipped.south >= clipped.north || clipped.west >= clipped.east) return null;
+    return clipped;
+}
+
+// --- Annotation Shapes ---
+// A box is an axis-aligned rectangle ('rect'), a polygon or an oriented box ('obb').
+// Polygons and oriented boxes keep their outline in `points` as [lat, lng] pairs
+// (open ring; an oriented box has exactly four corners). `bounds` always holds the
+// envelope, so composites, detection labels and COCO/VOC boxes work for every shape.
+
+const SHAPES = ['rect', 'polygon', 'obb'];
+
+// Validates the bounds of a request; returns { bounds } or { error }
+function parseBounds(bounds) {
+    const { south, west, north, east } = bounds || {};
+    if (![south, west, north, east].every(Number.isFinite)) {
+        return { error: 'bounds must have numeric south, west, north and east' };
+    }
+    if (south >= north || west >= east) {
+        return { error: 'bounds must have south below north and west below east' };
+    }
+    return { bounds: { south, west, north, east } };
+}
+
+// Validates shape and points (or bounds, for rectangles) of a request; returns { shape, points } or { error }
+function parseShape(shape = 'rect', points, bounds) {
+    if (!SHAPES.includes(shape)) {
+        return { error: `shape must be one of: ${SHAPES.join(', ')}` };
+    }
+    if (shape === 'rect') {
+        const { error } = parseBounds(bounds);
+        return error ? { error } : { shape, points: null };
+    }
+
+    if (!Array.isArray(points) || !points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) {
+        return { error: 'points must be an array of [lat, lng] pairs' };
+    }
+    if (shape === 'polygon' && points.length < 3) {
+        return { error: 'A polygon needs at least 3 points' };
+    }
+    if (shape === 'obb' && points.length !== 4) {
+        return { error: 'An oriented box needs exactly 4 corners' };
+    }
+    return { shape, points };
+}
+
+function pointsToBounds(points) {
+    const lats = points.map(p => p[0]);
+    const lngs = points.map(p => p[1]);
+    return {
+        south: Math.min(...lats),
+        west: Math.min(...lngs),
+        north: Math.max(...lats),
+        east: Math.max(...lngs)
+    };
+}
+
+// Sutherland–Hodgman clipping of a polygon against lat/lng bounds, or null if nothing is left
+function clipPolygon(points, bounds) {
+    // [axis (0 = lat, 1 = lng), limit, side that is kept]
+    const edges = [[0, bounds.south, 1], [0, bounds.north, -1], [1, bounds.west, 1], [1, bounds.east, -1]];
+
+    let output = points;
+    for (const [axis, limit, side] of edges) {
+        const input = output;
+        const inside = p => (p[axis] - limit) * side >= 0;
+        output = [];
+
+        input.forEach((current, i) => {
+            const previous = input[(i + input.length - 1) % input.length];
+            if (inside(current) !== inside(previous)) {
+                const t = (limit - previous[axis]) / (current[axis] - previous[axis]);
+                output.push([
+                    previous[0] + t * (current[0] - previous[0]),
+                    previous[1] + t * (current[1] - previous[1])
+                ]);
+            }
+            if (inside(current)) output.push(current);
+        });
+    }
+    return output.length >= 3 ? output : null;
+}
+
+// Final geometry of a box, clipped to its scene if it has one; returns { bounds, points } or { error }
+function boxGeometry(shape, points, bounds, scene = null) {
+    if (shape === 'rect') {
+        const clipped = scene ? clipBounds(bounds, scene.bounds) : bounds;
+        return clipped ? { bounds: clipped, points: null } : { error: 'Box lies outside of the scene' };
+    }
+
+    let outline = points;
+    if (scene && shape === 'obb') {
+        // Clipping would turn an oriented box into some other polygon
+        const { south, west, north, east } = scene.bounds;
+        if (!points.every(([lat, lng]) => lat >= south && lat <= north && lng >= west && lng <= east)) {
+            return { error: 'Oriented box must lie completely inside the scene' };
+        }
+    } else if (scene) {
+        outline = clipPolygon(points, scene.bounds);
+        if (!outline) return { error: 'Box lies outside of the scene' };
+    }
+    return { bounds: pointsToBounds(outline), points: outline };
+}
+
+// Outline in normalized image coordinates of a composite, like the YOLO box
+function calculatePointsForComposite(points, frame, zoom, tileSize = 256) {
+    const toImage = frameProjector(frame, zoom, tileSize);
+    return points.map(([lat, lng]) => {
+        const [x, y] = toImage(lat, lng);
+        return [
+            Math.max(0, Math.min(1, x / frame.outWidth)),
+            Math.max(0, Math.min(1, y / frame.outHeight))
+        ];
+    });
+}
+
+function calculateBoxYolo({ bounds, points }, frame, zoom, tileSize = 256) {
+    const yolo = calculateYoloForComposite(bounds, frame, zoom, tileSize);
+    if (points) yolo.points = calculatePointsForComposite(points, frame, zoom, tileSize);
+    return yolo;
+}
+
+// Box with its own composite image (not part of a scene); the image is rendered by an image job
+function createStandaloneBox(project, boxId, { labelId, labelName, shape = 'rect', points = null, bounds, zoom, tileUrl }, user) {
+    const zoomLevel = zoom || 14;
+    const useTileUrl = tileUrl || defaultTileUrl(project);
+    const tileSize = tilePixelSize(useTileUrl);
+
+    const frame = chipFrame(project, bounds, zoomLevel, tileSize);
+    const tileGrid = frameTileGrid(frame, zoomLevel, tileSize);
+    const { tiles, gridWidth, gridHeight } = tileGrid;
+
+    console.log(`📦 Box ${boxId} by ${user.email}: ${tiles.length} Tile(s)`);
+
+    const yoloCoords = calculateBoxYolo({ bounds, points }, frame, zoomLevel, tileSize);
+
+    return {
+        id: boxId,
+        projectId: project.id,
+        labelId,
+        labelName,
+        shape,
+        points,
+        bounds,
+        zoom: zoomLevel,
+        tileUrl: useTileUrl,
+        tileSize,
+        tiles: tiles.map(t => ({ x: t.x, y: t.y, z: t.z })),
+        tileGrid: { width: gridWidth, height: gridHeight, minX: tileGrid.minX, minY: tileGrid.minY },
+        frame,
+        crop: frameCrop(frame, tileGrid, tileSize),
+        gsd: groundSampleDistance(bounds, zoomLevel, tileSize, frame.scale),
+        ...pendingImage(),
+        yolo: yoloCoords,
+        userId: user.id,
+        userEmail: user.email,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// --- Soft Delete ---
+// Deleted labels, scenes and boxes stay in the database together with their images,
+// so an undo can restore them. Admins empty the trash to remove them for good.
+
+function isActive(item) {
+    return !item.deletedAt;
+}
+
+// `cascade` records what took the item down, e.g. { type: 'label', id: 3 }
+function markDeleted(item, user, cascade = null) {
+    item.deletedAt = new Date().toISOString();
+    item.deletedBy = user.email;
+    if (cascade) item.deletedWith = cascade;
+}
+
+function clearDeleted(item) {
+    delete item.deletedAt;
+    delete item.deletedBy;
+    delete item.deletedWith;
+}
+
+// Image files owned by the given rows; scene boxes share the scene image
+function collectImages(boxes, scenes) {
+    return [
+        ...boxes.filter(b => b.image && !b.sceneId).map(b => b.image),
+        ...scenes.filter(s => s.image).map(s => s.image)
+    ];
+}
+
+async function removeImages(images) {
+    for (const image of images) {
+        try { await fs.unlink(path.join(__dirname, 'public', image)); } catch (e) { /* ignore */ }
+    }
+}
+
+// --- Labels API (with real-time sync) ---
+
+// Adds the label to db.data if needed; the caller writes and emits
+function findOrCreateLabel(project, name, user) {
+    const labels = db.data.labels;
+
+    const existing = labels.find((l) => l.projectId === project.id && isActive(l) && l.name === name.trim());
+    if (existing) return { label: existing, created: false };
+
+    const newLabel = {
+        id: db.nextId('labels'),
+        projectId: project.id,
+        name: name.trim(),
+        userId: user.id,
+        userEmail: user.email
+    };
+    labels.push(newLabel);
+    return { label: newLabel, created: true };
+}
+
+app.get('/api/labels', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.json(projectData(req.project).labels.filter(isActive));
+}));
+
+app.post('/api/labels', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const { label, created } = findOrCreateLabel(req.project, name, req.user);
+    if (!created) return res.json(label);
+
+    await db.write();
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'label:created', label);
+
+    res.status(201).json(label);
+}));
+
+app.delete('/api/labels/:id', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { labels } = projectData(req.project);
+
+    const label = labels.find(l => l.id === id && isActive(l));
+    if (!label) {
+        return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const boxesToDelete = db.find('boxes', { labelId: id }).filter(isActive);
+
+    markDeleted(label, req.user);
+    boxesToDelete.forEach(box => markDeleted(box, req.user, { type: 'label', id }));
+    await db.write();
+
+    // 🔴 Emit box deleted for each box
+    boxesToDelete.forEach(box => emitToProject(req.project.id, 'box:deleted', { id: box.id }));
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'label:deleted', { id, deletedBy: req.user.email });
+
+    res.json({ success: true });
+}));
+
+app.post('/api/labels/:id/restore', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { labels, boxes } = projectData(req.project);
+
+    const label = labels.find(l => l.id === id && l.deletedAt);
+    if (!label) {
+        return res.status(404).json({ error: 'Deleted label not found' });
+    }
+
+    if (labels.some(l => isActive(l) && l.name === label.name)) {
+        return res.status(409).json({ error: `A label named "${label.name}" already exists` });
+    }
+
+    // Only the boxes that went down together with the label come back
+    const boxesToRestore = boxes.filter(b =>
+        b.deletedWith?.type === 'label' && b.deletedWith.id === id
+    );
+
+    clearDeleted(label);
+    boxesToRestore.forEach(clearDeleted);
+    await db.write();
+
+    // 🔴 Emit real-time events
+    emitToProject(req.project.id, 'label:restored', label);
+    boxesToRestore.forEach(box => emitToProject(req.project.id, 'box:restored', box));
+
+    res.json({ label, boxes: boxesToRestore });
+}));
+
+// --- Boxes API (with real-time sync) ---
+
+// Optional filters `labelId`, `userId` and `bounds` (south,west,north,east) use the storage indexes
+app.get('/api/boxes', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const where = { projectId: req.project.id };
+    for (const field of ['labelId', 'userId']) {
+        if (req.query[field] === undefined) continue;
+        where[field] = Number(req.query[field]);
+        if (!Number.isInteger(where[field])) {
+            return res.status(400).json({ error: `${field} must be an integer` });
+        }
+    }
+    if (req.query.bounds !== undefined) {
+        const [south, west, north, east] = String(req.query.bounds).split(',').map(Number);
+        const { bounds, error } = parseBounds({ south, west, north, east });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        where.bounds = bounds;
+    }
+
+    res.json(db.find('boxes', where).filter(isActive));
+}));
+
+// A box annotating an existing scene's chip; it shares the scene's image
+function createSceneBox(project, boxId, scene, { labelId, labelName, shape, points, bounds }, user) {
+    return {
+        id: boxId,
+        projectId: project.id,
+        sceneId: scene.id,
+        labelId,
+        labelName,
+        shape,
+        points,
+        bounds,
+        zoom: scene.zoom,
+        tileUrl: scene.tileUrl,
+        tileSize: scene.tileSize,
+        tiles: scene.tiles,
+        tileGrid: scene.tileGrid,
+        crop: scene.crop,
+        gsd: scene.gsd,
+        image: scene.image,
+        imageSize: scene.imageSize,
+        failedTiles: scene.failedTiles || [],
+        degraded: Boolean(scene.degraded),
+        imageStatus: scene.imageStatus,
+        yolo: calculateBoxYolo({ bounds, points }, imageFrame(scene), scene.zoom, imageTileSize(scene)),
+        userId: user.id,
+        userEmail: user.email,
+        createdAt: new Date().toISOString()
+    };
+}
+
+app.post('/api/boxes', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const { labelId, labelName, bounds, zoom: viewZoom, tileUrl, sceneId } = req.body;
+
+    const tileUrlError = !sceneId && checkTileUrl(req.project, tileUrl);
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
+
+    if (!labelId || !labelName || (!bounds && !req.body.points)) {
+        return res.status(400).json({ error: 'labelId, labelName and bounds (or points) are required' });
+    }
+
+    const { shape, points, error } = parseShape(req.body.shape, req.body.points, bounds);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    if (!db.data.labels.some(l => l.id === Number(labelId) && l.projectId === req.project.id && isActive(l))) {
+        return res.status(404).json({ error: 'Label not found' });
+    }
+
+    let newBox;
+    if (sceneId) {
+        // Box inside an existing scene: no new image, annotate the scene's chip
+        const scene = projectData(req.project).scenes.find(s => s.id === Number(sceneId) && isActive(s));
+        if (!scene) {
+            return res.status(404).json({ error: 'Scene not found' });
+        }
+        if (scene.background) {
+            return res.status(400).json({ error: 'Background scenes cannot hold boxes' });
+        }
+
+        const geometry = boxGeometry(shape, points, bounds, scene);
+        if (geometry.error) {
+            return res.status(400).json({ error: geometry.error });
+        }
+
+        const boxId = db.nextId('boxes');
+        console.log(`📦 Box ${boxId} by ${req.user.email} in scene ${scene.id}`);
+
+        newBox = createSceneBox(req.project, boxId, scene, { labelId, labelName, shape, ...geometry }, req.user);
+    } else {
+        const geometry = boxGeometry(shape, points, bounds);
+
+        // In tile mode, or with `split` when it exceeds the capture limits, a box becomes chip scenes,
+        // each holding its part of the box. Oriented boxes can't be cut; in tile mode they are scaled
+        // down into one chip instead.
+        const { zoom, error: zoomError } = captureZoomFor(req.project, tileUrl, viewZoom);
+        if (zoomError) {
+            return res.status(400).json({ error: zoomError });
+        }
+        const tileSize = tilePixelSize(tileUrl || defaultTileUrl(req.project));
+        const plan = planCapture(req.project, geometry.bounds, zoom, tileSize, {
+            split: Boolean(req.body.split),
+            canSplit: shape !== 'obb'
+        });
+        if (plan.error) {
+            return res.status(400).json({ error: plan.error, oversize: plan.oversize });
+        }
+        if (plan.tiled) {
+            const tiled = createTiledScenes(req.project, { bounds: geometry.bounds, zoom, tileUrl }, req.user);
+
+            const tiledBoxes = [];
+            tiled.forEach(scene => {
+                const clipped = boxGeometry(shape, geometry.points, geometry.bounds, scene);
+                if (clipped.error) return;
+                tiledBoxes.push(createSceneBox(req.project, db.nextId('boxes'), scene, { labelId, labelName, shape, ...clipped }, req.user));
+            });
+
+            db.data.boxes.push(...tiledBoxes);
+            await db.write();
+
+            // 🔴 Emit real-time events
+            tiled.forEach(scene => emitToProject(req.project.id, 'scene:created', scene));
+            tiledBoxes.forEach(box => emitToProject(req.project.id, 'box:created', box));
+
+            console.log(`🧩 Box by ${req.user.email} split into ${tiled.length} chip(s)`);
+
+            return res.status(201).json({ tiled: true, scenes: tiled, boxes: tiledBoxes });
+        }
+
+        newBox = createStandaloneBox(req.project, db.nextId('boxes'), { labelId, labelName, shape, ...geometry, zoom, tileUrl }, req.user);
+    }
+
+    db.data.boxes.push(newBox);
+    if (!newBox.sceneId) enqueueImageJob('box', newBox);
+    await db.write();
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'box:created', newBox);
+
+    res.status(201).json(newBox);
+}));
+
+app.put('/api/boxes/:id', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { bounds, points, labelId } = req.body;
+
+    if (!bounds && !points && !labelId) {
+        return res.status(400).json({ error: 'bounds, points or labelId is required' });
+    }
+
+    const box = projectData(req.project).boxes.find(b => b.id === id && isActive(b));
+    if (!box) {
+        return res.status(404).json({ error: 'Box not found' });
+    }
+
+    // Rectangles are moved with `bounds`, polygons and oriented boxes with `points`
+    const shape = box.shape || 'rect';
+    const moved = shape === 'rect' ? bounds : points;
+    if (moved) {
+        const { error } = parseShape(shape, points, bounds);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    } else if (!labelId) {
+        return res.status(400).json({ error: shape === 'rect' ? 'bounds are required' : 'points are required' });
+    }
+
+    let label = null;
+    if (labelId) {
+        label = projectData(req.project).labels.find(l => l.id === Number(labelId) && isActive(l));
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+    }
+
+    // A moved standalone box gets a fresh composite image from an image job
+    let geometry = null;
+    if (moved) {
+        if (box.sceneId) {
+            const scene = db.data.scenes.find(s => s.id === box.sceneId);
+            const clipped = boxGeometry(shape, points, bounds, scene);
+            if (clipped.error) {
+                return res.status(400).json({ error: clipped.error });
+            }
+            geometry = {
+                ...clipped,
+                yolo: calculateBoxYolo(clipped, imageFrame(scene), scene.zoom, imageTileSize(scene))
+            };
+        } else {
+            // A moved box is never split: it keeps being one box with one image. If its source
+            // has been removed since, the image comes from the project's default source.
+            const outline = boxGeometry(shape, points, bounds);
+            const tileUrl = checkTileUrl(req.project, box.tileUrl) ? defaultTileUrl(req.project) : box.tileUrl;
+            const zoom = tileUrl === box.tileUrl ? box.zoom : Math.min(box.zoom, tileMaxZoom(tileUrl));
+            const tileSize = tilePixelSize(tileUrl || defaultTileUrl(req.project));
+            const { error, oversize } = planCapture(req.project, outline.bounds, zoom, tileSize, { canSplit: false });
+            if (error) {
+                return res.status(400).json({ error, oversize });
+            }
+
+            const rendered = createStandaloneBox(req.project, id, {
+                labelId: box.labelId,
+                labelName: box.labelName,
+                shape,
+                ...outline,
+                zoom,
+                tileUrl
+            }, req.user);
+            geometry = {
+                points: rendered.points,
+                bounds: rendered.bounds,
+                zoom: rendered.zoom,
+                tileUrl: rendered.tileUrl,
+                tileSize: rendered.tileSize,
+                tiles: rendered.tiles,
+                tileGrid: rendered.tileGrid,
+                frame: rendered.frame,
+                crop: rendered.crop,
+                gsd: rendered.gsd,
+                ...pendingImage(),
+                yolo: rendered.yolo
+            };
+        }
+    }
+
+    const oldImage = geometry && !box.sceneId ? box.image : null;
+
+    if (geometry) Object.assign(box, geometry);
+    if (geometry && !box.sceneId) enqueueImageJob('box', box);
+    if (label) {
+        box.labelId = label.id;
+        box.labelName = label.name;
+    }
+    box.updatedAt = new Date().toISOString();
+    box.updatedBy = req.user.email;
+
+    await db.write();
+
+    if (oldImage) await removeImages([oldImage]);
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'box:updated', box);
+
+    res.json(box);
+}));
+
+app.delete('/api/boxes/:id', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const box = projectData(req.project).boxes.find(b => b.id === id && isActive(b));
+    if (!box) {
+        return res.status(404).json({ error: 'Box not found' });
+    }
+
+    markDeleted(box, req.user);
+    await db.write();
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'box:deleted', { id, deletedBy: req.user.email });
+
+    res.json({ success: true });
+}));
+
+app.post('/api/boxes/:id/restore', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const box = projectData(req.project).boxes.find(b => b.id === id && b.deletedAt);
+    if (!box) {
+        return res.status(404).json({ error: 'Deleted box not found' });
+    }
+
+    if (!db.data.labels.some(l => l.id === box.labelId && isActive(l))) {
+        return res.status(409).json({ error: 'The label of this box is deleted' });
+    }
+    if (box.sceneId && !db.data.scenes.some(s => s.id === box.sceneId && isActive(s))) {
+        return res.status(409).json({ error: 'The scene of this box is deleted' });
+    }
+
+    clearDeleted(box);
+    await db.write();
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'box:restored', box);
+
+    res.json(box);
+}));
+
+// --- Scenes API (with real-time sync) ---
+// A scene is a fixed image chip on the map that can hold any number of boxes.
+// Background scenes are chips of empty terrain: they can't hold boxes and are
+// exported with an empty label file as negative samples.
+
+// Builds the scene; its image is rendered by an image job. `frame` is given for
+// the chips of a tiled area, otherwise it follows the project's chip settings
+function createSceneRecord(project, { bounds, zoom, tileUrl, background = false, frame = null }, user) {
+    const zoomLevel = zoom || 14;
+    const useTileUrl = tileUrl || defaultTileUrl(project);
+    const tileSize = tilePixelSize(useTileUrl);
+
+    frame ??= chipFrame(project, bounds, zoomLevel, tileSize);
+    const tileGrid = frameTileGrid(frame, zoomLevel, tileSize);
+    const { tiles, gridWidth, gridHeight } = tileGrid;
+
+    const sceneId = db.nextId('scenes');
+
+    console.log(`🖼️ ${background ? 'Background scene' : 'Scene'} ${sceneId} by ${user.email}: ${tiles.length} Tile(s)`);
+
+    return {
+        id: sceneId,
+        projectId: project.id,
+        background,
+        bounds,
+        zoom: zoomLevel,
+        tileUrl: useTileUrl,
+        tileSize,
+        tiles: tiles.map(t => ({ x: t.x, y: t.y, z: t.z })),
+        tileGrid: { width: gridWidth, height: gridHeight, minX: tileGrid.minX, minY: tileGrid.minY },
+        frame,
+        crop: frameCrop(frame, tileGrid, tileSize),
+        gsd: groundSampleDistance(bounds, zoomLevel, tileSize, frame.scale),
+        ...pendingImage(),
+        userId: user.id,
+        userEmail: user.email,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// The area the image of a scene shows (usually larger than its bounds)
+function sceneImageBounds(scene) {
+    return frameBounds(imageFrame(scene), scene.zoom, imageTileSize(scene));
+}
+
+app.get('/api/scenes', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.json(projectData(req.project).scenes.filter(isActive));
+}));
+
+// Tile mode: one chip scene per chip-sized square covering the bounds, added to
+// db.data.scenes with their image jobs queued (the caller writes)
+function createTiledScenes(project, { bounds, zoom, tileUrl, background = false }, user) {
+    const zoomLevel = zoom || 14;
+    const { size } = chipSettingsFor(project);
+    const tileSize = tilePixelSize(tileUrl || defaultTileUrl(project));
+    const scenes = [];
+
+    for (const frame of chipGridFrames(bounds, zoomLevel, size, tileSize)) {
+        const chipBounds = frameBounds(frame, zoomLevel, tileSize);
+        const scene = createSceneRecord(project, { bounds: chipBounds, zoom: zoomLevel, tileUrl, background, frame }, user);
+        db.data.scenes.push(scene);
+        enqueueImageJob('scene', scene);
+        scenes.push(scene);
+    }
+    return scenes;
+}
+
+app.post('/api/scenes', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const { bounds, zoom: viewZoom, tileUrl, background } = req.body;
+
+    if (!bounds) {
+        return res.status(400).json({ error: 'bounds are required' });
+    }
+    const boundsError = parseBounds(bounds).error;
+    if (boundsError) {
+        return res.status(400).json({ error: boundsError });
+    }
+    const tileUrlError = checkTileUrl(req.project, tileUrl);
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
+
+    const { zoom, error: zoomError } = captureZoomFor(req.project, tileUrl, viewZoom);
+    if (zoomError) {
+        return res.status(400).json({ error: zoomError });
+    }
+    const tileSize = tilePixelSize(tileUrl || defaultTileUrl(req.project));
+    const plan = planCapture(req.project, bounds, zoom, tileSize, { split: Boolean(req.body.split) });
+    if (plan.error) {
+        return res.status(400).json({ error: plan.error, oversize: plan.oversize });
+    }
+
+    if (background) {
+        const imageBounds = frameBounds(chipFrame(req.project, bounds, zoom, tileSize), zoom, tileSize);
+        const boxes = db.find('boxes', { projectId: req.project.id, bounds: imageBounds });
+        if (boxes.some(isActive)) {
+            return res.status(400).json({ error: 'A background chip must not contain any boxes' });
+        }
+    }
+
+    if (plan.tiled) {
+        const tiled = createTiledScenes(req.project, { bounds, zoom, tileUrl, background: Boolean(background) }, req.user);
+        await db.write();
+
+        // 🔴 Emit real-time events
+        tiled.forEach(scene => emitToProject(req.project.id, 'scene:created', scene));
+
+        console.log(`🧩 Scene by ${req.user.email} split into ${tiled.length} chip(s)`);
+
+        return res.status(201).json({ tiled: true, scenes: tiled });
+    }
+
+    const newScene = createSceneRecord(req.project, { bounds, zoom, tileUrl, background: Boolean(background) }, req.user);
+    db.data.scenes.push(newScene);
+    enqueueImageJob('scene', newScene);
+    await db.write();
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'scene:created', newScene);
+
+    res.status(201).json(newScene);
+}));
+
+const MAX_BACKGROUND_SAMPLES = 50;
+
+// Auto-sampling: `count` random single-tile background chips inside `bounds` at `zoom`,
+// away from all boxes and scenes of the project
+app.post('/api/scenes/background-samples', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const { bounds, tileUrl } = req.body;
+    const count = Number(req.body.count);
+
+    if (!bounds || req.body.zoom == null) {
+        return res.status(400).json({ error: 'bounds and zoom are required' });
+    }
+    const boundsError = parseBounds(bounds).error;
+    if (boundsError) {
+        return res.status(400).json({ error: boundsError });
+    }
+    const tileUrlError = checkTileUrl(req.project, tileUrl);
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BACKGROUND_SAMPLES) {
+        return res.status(400).json({ error: `count must be between 1 and ${MAX_BACKGROUND_SAMPLES}` });
+    }
+
+    // Samples are single tiles at the capture zoom, which may be far deeper than the map's
+    const { zoom, error: zoomError } = captureZoomFor(req.project, tileUrl, req.body.zoom);
+    if (zoomError) {
+        return res.status(400).json({ error: zoomError });
+    }
+    const { boxes, scenes } = projectData(req.project);
+    const tileSize = tilePixelSize(tileUrl || defaultTileUrl(req.project));
+    const taken = [
+        ...boxes.filter(isActive).map(b => b.bounds),
+        ...scenes.filter(isActive).map(sceneImageBounds)
+    ];
+
+    // The tile range only: at a deep capture zoom the area can hold millions of tiles
+    const sw = latLngToTile(bounds.south, bounds.west, zoom);
+    const ne = latLngToTile(bounds.north, bounds.east, zoom);
+    const [minX, maxX] = [Math.min(sw.x, ne.x), Math.max(sw.x, ne.x)];
+    const [minY, maxY] = [Math.min(sw.y, ne.y), Math.max(sw.y, ne.y)];
+    const picked = new Set();
+    const created = [];
+
+    for (let attempt = 0; attempt < count * 50 && created.length < count; attempt++) {
+        const x = minX + Math.floor(Math.random() * (maxX - minX + 1));
+        const y = minY + Math.floor(Math.random() * (maxY - minY + 1));
+        const tile = tileToBounds(x, y, zoom);
+
+        // Only tiles completely inside the region
+        const inside = tile.south >= bounds.south && tile.north <= bounds.north &&
+            tile.west >= bounds.west && tile.east <= bounds.east;
+        if (picked.has(`${x}/${y}`) || !inside) continue;
+        picked.add(`${x}/${y}`);
+
+        // Inset so rounding at the tile edges doesn't pull in the neighbouring tiles
+        const insetLat = (tile.north - tile.south) * 1e-6;
+        const insetLng = (tile.east - tile.west) * 1e-6;
+        const chipBounds = {
+            south: tile.south + insetLat,
+            west: tile.west + insetLng,
+            north: tile.north - insetLat,
+            east: tile.east - insetLng
+        };
+
+        // The chip image may show more than the tile (crop modes), and must stay away from boxes, scenes and earlier picks
+        const imageBounds = frameBounds(chipFrame(req.project, chipBounds, zoom, tileSize), zoom, tileSize);
+        if (taken.some(area => clipBounds(area, imageBounds))) continue;
+
+        const scene = createSceneRecord(req.project, { bounds: chipBounds, zoom, tileUrl, background: true }, req.user);
+        db.data.scenes.push(scene);
+        enqueueImageJob('scene', scene);
+        created.push(scene);
+        taken.push(imageBounds);
+    }
+    await db.write();
+
+    // 🔴 Emit real-time events
+    created.forEach(scene => emitToProject(req.project.id, 'scene:created', scene));
+
+    console.log(`🌫️ ${created.length}/${count} background sample(s) by ${req.user.email} at zoom ${zoom}`);
+
+    res.status(201).json({ created: created.length, scenes: created });
+}));
+
+app.delete('/api/scenes/:id', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { scenes, boxes } = projectData(req.project);
+
+    const scene = scenes.find(s => s.id === id && isActive(s));
+    if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    // Boxes of the scene go with it
+    const boxesToDelete = boxes.filter(b => b.sceneId === id && isActive(b));
+
+    markDeleted(scene, req.user);
+    boxesToDelete.forEach(box => markDeleted(box, req.user, { type: 'scene', id }));
+    await db.write();
+
+    // 🔴 Emit box deleted for each box
+    boxesToDelete.forEach(box => emitToProject(req.project.id, 'box:deleted', { id: box.id }));
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'scene:deleted', { id, deletedBy: req.user.email });
+
+    res.json({ success: true });
+}));
+
+app.post('/api/scenes/:id/restore', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { scenes, boxes } = projectData(req.project);
+
+    const scene = scenes.find(s => s.id === id && s.deletedAt);
+    if (!scene) {
+        return res.status(404).json({ error: 'Deleted scene not found' });
+    }
+
+    // Boxes whose label was deleted in the meantime stay deleted
+    const boxesToRestore = boxes.filter(b =>
+        b.deletedWith?.type === 'scene' && b.deletedWith.id === id &&
+        db.data.labels.some(l => l.id === b.labelId && isActive(l))
+    );
+
+    clearDeleted(scene);
+    boxesToRestore.forEach(clearDeleted);
+    await db.write();
+
+    // 🔴 Emit real-time events
+    emitToProject(req.project.id, 'scene:restored', scene);
+    boxesToRestore.forEach(box => emitToProject(req.project.id, 'box:restored', box));
+
+    res.json({ scene, boxes: boxesToRestore });
+}));
+
+// --- Image Jobs ---
+// Composite images of scenes and standalone boxes are rendered by a persistent job
+// queue, so requests return as soon as the record is saved. Jobs live in db.data.jobs
+// until their image is stored; which ones are running is only known in memory, so
+// unfinished jobs simply run again after a restart. Records carry `imageStatus`
+// ('pending', 'ready' or 'failed'; older records have none and are ready) and an
+// `imageRevision` that tells a job whether its result is still wanted.
+
+const runningImageJobs = new Set(); // job ids
+let imageJobTimer = null;
+
+function imageJobRecord(job) {
+    return (job.kind === 'scene' ? db.data.scenes : db.data.boxes).find(r => r.id === job.recordId) || null;
+}
+
+// Queues rendering the image of a scene or standalone box (the caller writes). A queued
+// job for the same record is replaced; a running one finishes, but its image is dropped.
+function enqueueImageJob(kind, record) {
+    record.imageRevision = (record.imageRevision || 0) + 1;
+    record.imageStatus = 'pending';
+
+    db.data.jobs = db.data.jobs.filter(j => !(j.kind === kind && j.recordId === record.id && !runningImageJobs.has(j.id)));
+
+    const now = new Date().toISOString();
+    const job = {
+        id: db.nextId('jobs'),
+        projectId: record.projectId,
+        kind,
+        recordId: record.id,
+        revision: record.imageRevision,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        runAt: now,
+        createdAt: now
+    };
+    db.data.jobs.push(job);
+
+    setImmediate(pumpImageJobs);
+    return job;
+}
+
+// Starts due jobs up to the concurrency limit and wakes up for the next delayed retry
+function pumpImageJobs() {
+    clearTimeout(imageJobTimer);
+    imageJobTimer = null;
+
+    const now = Date.now();
+    const waiting = db.data.jobs.filter(j => j.status === 'queued' && !runningImageJobs.has(j.id));
+    for (const job of waiting) {
+        // A finishing job pumps again
+        if (runningImageJobs.size >= IMAGE_JOB_CONCURRENCY) return;
+        if (Date.parse(job.runAt) > now) continue;
+
+        runImageJob(job.id).catch(err => console.error(`Image job ${job.id} failed:`, err));
+    }
+
+    const next = Math.min(...waiting.filter(j => !runningImageJobs.has(j.id)).map(j => Date.parse(j.runAt)));
+    if (Number.isFinite(next)) {
+        imageJobTimer = setTimeout(pumpImageJobs, Math.max(0, next - now));
+    }
+}
+
+async function runImageJob(jobId) {
+    runningImageJobs.add(jobId);
+    try {
+        const job = db.data.jobs.find(j => j.id === jobId);
+        if (!job) return;
+        const record = imageJobRecord(job);
+        if (!record || record.imageRevision !== job.revision) {
+            await finishImageJob(job, null);
+            return;
+        }
+
+        job.attempts++;
+        await db.write();
+
+        // Progress goes out in steps of 5%, not for every tile
+        const event = `${job.kind}:image-progress`;
+        let lastPercent = -1;
+        const onProgress = (done, total) => {
+            const percent = Math.floor(done / total * 20) * 5;
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            emitToProject(job.projectId, event, { id: job.recordId, done, total });
+        };
+
+        const imageInfo = await saveCompositeImage(`${job.kind}_${job.recordId}`, imageFrame(record), record.zoom,
+            imageTileSize(record), record.tileUrl, onProgress);
+        await finishImageJob(job, imageInfo);
+    } finally {
+        runningImageJobs.delete(jobId);
+        pumpImageJobs();
+    }
+}
+
+// Stores a rendered image (or the failure) on the record and every box showing it.
+// Job and record are looked up again: they may have changed while the tiles were loading.
+async function finishImageJob(started, imageInfo) {
+    const job = db.data.jobs.find(j => j.id === started.id);
+    const record = imageJobRecord(started);
+
+    // Removed for good, or queued again since (e.g. the box was moved)
+    if (!job || !record || record.imageRevision !== job.revision) {
+        db.data.jobs = db.data.jobs.filter(j => j.id !== started.id);
+        await db.write();
+        if (imageInfo) await removeImages([imageInfo.path]);
+        return;
+    }
+
+    const problem = !imageInfo ? 'Could not create the image'
+        : imageInfo.failedTiles.length ? `${imageInfo.failedTiles.length} failed tile(s)` : null;
+
+    if (problem && job.attempts < IMAGE_JOB_MAX_ATTEMPTS) {
+        job.error = problem;
+        job.runAt = new Date(Date.now() + IMAGE_JOB_RETRY_DELAY_MS * job.attempts).toISOString();
+        await db.write();
+        if (imageInfo) await removeImages([imageInfo.path]);
+        console.log(`🔁 Image of ${job.kind} ${record.id}: ${problem}, attempt ${job.attempts + 1} at ${job.runAt}`);
+        return;
+    }
+
+    // Out of attempts, an image with failed tiles is kept and flagged degraded
+    const oldImage = imageInfo ? record.image : null;
+    const image = imageInfo
+        ? {
+            image: imageInfo.path,
+            imageSize: { width: imageInfo.width, height: imageInfo.height },
+            ...imageHealth(imageInfo),
+            imageStatus: 'ready'
+        }
+        : { imageStatus: 'failed' };
+    Object.assign(record, image);
+
+    const boxes = job.kind === 'scene' ? db.data.boxes.filter(b => b.sceneId === record.id) : [record];
+    boxes.forEach(box => Object.assign(box, image));
+
+    if (imageInfo) {
+        db.data.jobs = db.data.jobs.filter(j => j.id !== job.id);
+    } else {
+        job.status = 'failed';
+        job.error = problem;
+    }
+    await db.write();
+    if (oldImage) await removeImages([oldImage]);
+
+    console.log(`🖼️ Image of ${job.kind} ${record.id} ${imageInfo ? `ready: ${image.failedTiles.length} failed tile(s)` : 'failed'}`);
+
+    // 🔴 Emit real-time events
+    if (job.kind === 'scene') emitToProject(job.projectId, 'scene:image-ready', record);
+    boxes.filter(isActive).forEach(box => emitToProject(job.projectId, 'box:image-ready', box));
+}
+
+// Jobs of the project that haven't stored their image yet, oldest first
+app.get('/api/jobs', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.json(db.data.jobs
+        .filter(j => j.projectId === req.project.id)
+        .map(j => ({ ...j, running: runningImageJobs.has(j.id) })));
+}));
+
+// --- Image Retry API ---
+// Images with failed tiles are flagged `degraded` and can be rendered again from their
+// stored frame. Failed tiles are never cached, so only they are fetched anew.
+// The request only queues the image job: retries of a flaky source can take a while.
+// Clients follow it through /api/jobs or the image-ready events.
+
+// Queues the image of a scene or standalone box again; returns { job } or { error }.
+// A source that has been removed since is not fetched from again.
+async function retryImage(project, record, kind, user) {
+    if (checkTileUrl(project, record.tileUrl)) {
+        return { error: 'The tile source of this image has been removed; move or redraw it instead' };
+    }
+
+    const job = enqueueImageJob(kind, record);
+    await db.write();
+
+    console.log(`🔁 Image of ${kind} ${record.id} queued again by ${user.email}`);
+
+    return { job };
+}
+
+app.post('/api/scenes/:id/retry-image', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const scene = projectData(req.project).scenes.find(s => s.id === id && isActive(s));
+    if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const { job, error } = await retryImage(req.project, scene, 'scene', req.user);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(202).json({ job });
+}));
+
+// Boxes of a scene share its image, so the scene's image is rendered again
+app.post('/api/boxes/:id/retry-image', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const { boxes, scenes } = projectData(req.project);
+    const box = boxes.find(b => b.id === id && isActive(b));
+    if (!box) {
+        return res.status(404).json({ error: 'Box not found' });
+    }
+
+    const scene = box.sceneId ? scenes.find(s => s.id === box.sceneId) : null;
+    const { job, error } = scene
+        ? await retryImage(req.project, scene, 'scene', req.user)
+        : await retryImage(req.project, box, 'box', req.user);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(202).json({ job });
+}));
+
+// --- GeoJSON API ---
+// Boxes as WGS84 polygons. GeoJSON positions are [lng, lat].
+
+function boxToFeature(box) {
+    const { south, west, north, east } = box.bounds;
+    const ring = box.points
+        ? [...box.points, box.points[0]].map(([lat, lng]) => [lng, lat])
+        : [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    return {
+        type: 'Feature',
+        id: box.id,
+        geometry: {
+            type: 'Polygon',
+            coordinates: [ring]
+        },
+        properties: {
+            id: box.id,
+            label: box.labelName,
+            shape: box.shape || 'rect',
+            labelId: box.labelId,
+            sceneId: box.sceneId || null,
+            zoom: box.zoom,
+            author: box.userEmail,
+            createdAt: box.createdAt,
+            updatedAt: box.updatedAt || null
+        }
+    };
+}
+
+// Envelope of any geometry as lat/lng bounds, or null if it has no area
+function geometryToBounds(geometry) {
+    if (!geometry || !geometry.coordinates) return null;
+
+    const positions = [];
+    (function collect(coords) {
+        if (typeof coords[0] === 'number') {
+            positions.push(coords);
+        } else {
+            coords.forEach(collect);
+        }
+    })(geometry.coordinates);
+
+    if (positions.length === 0) return null;
+
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    const bounds = {
+        south: Math.min(...lats),
+        west: Math.min(...lngs),
+        north: Math.max(...lats),
+        east: Math.max(...lngs)
+    };
+    if (bounds.south >= bounds.north || bounds.west >= bounds.east) return null;
+    return bounds;
+}
+
+// Outer ring of a Polygon as open [lat, lng] points, for features exported as polygon or OBB
+function geometryToPoints(geometry) {
+    const ring = geometry?.type === 'Polygon' ? geometry.coordinates[0] : null;
+    if (!Array.isArray(ring)) return null;
+
+    const points = ring.map(([lng, lat]) => [lat, lng]);
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+    return points;
+}
+
+app.get('/api/boxes.geojson', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.type('application/geo+json').json({
+        type: 'FeatureCollection',
+        features: projectData(req.project).boxes.filter(isActive).map(boxToFeature)
+    });
+}));
+
+app.post('/api/import/geojson', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const { geojson, labelProperty, defaultLabel, zoom: viewZoom, tileUrl } = req.body;
+
+    const features = geojson?.type === 'FeatureCollection' ? geojson.features
+        : geojson?.type === 'Feature' ? [geojson]
+            : null;
+    if (!Array.isArray(features)) {
+        return res.status(400).json({ error: 'geojson must be a Feature or FeatureCollection' });
+    }
+
+    if (!labelProperty && !defaultLabel) {
+        return res.status(400).json({ error: 'labelProperty or defaultLabel is required' });
+    }
+    const tileUrlError = checkTileUrl(req.project, tileUrl);
+    if (tileUrlError) {
+        return res.status(400).json({ error: tileUrlError });
+    }
+
+    const created = [];
+    const skipped = [];
+    const { zoom, error: zoomError } = captureZoomFor(req.project, tileUrl, viewZoom);
+    if (zoomError) {
+        return res.status(400).json({ error: zoomError });
+    }
+    const tileSize = tilePixelSize(tileUrl || defaultTileUrl(req.project));
+
+    for (let i = 0; i < features.length; i++) {
+        const feature = features[i];
+        const bounds = geometryToBounds(feature.geometry);
+        const rawName = labelProperty ? feature.properties?.[labelProperty] : null;
+        const labelName = rawName !== undefined && rawName !== null && String(rawName).trim()
+            ? String(rawName)
+            : defaultLabel;
+
+        if (!bounds) {
+            skipped.push({ index: i, reason: 'Geometry has no area' });
+            continue;
+        }
+        if (!labelName || !labelName.trim()) {
+            skipped.push({ index: i, reason: `Missing property "${labelProperty}"` });
+            continue;
+        }
+
+        // Features exported as polygon or oriented box keep their shape, everything else becomes a rectangle
+        const requestedShape = ['polygon', 'obb'].includes(feature.properties?.shape) ? feature.properties.shape : 'rect';
+        const { shape, points, error } = parseShape(requestedShape, geometryToPoints(feature.geometry), bounds);
+        if (error) {
+            skipped.push({ index: i, reason: error });
+            continue;
+        }
+
+        const capture = planCapture(req.project, bounds, zoom, tileSize, { canSplit: false });
+        if (capture.error) {
+            skipped.push({ index: i, reason: capture.error });
+            continue;
+        }
+
+        const { label, created: labelCreated } = findOrCreateLabel(req.project, labelName, req.user);
+        if (labelCreated) {
+            // 🔴 Emit real-time event
+            emitToProject(req.project.id, 'label:created', label);
+        }
+
+        const boxId = db.nextId('boxes');
+        const newBox = createStandaloneBox(req.project, boxId, {
+            labelId: label.id,
+            labelName: label.name,
+            shape,
+            points,
+            bounds,
+            zoom,
+            tileUrl
+        }, req.user);
+
+        db.data.boxes.push(newBox);
+        enqueueImageJob('box', newBox);
+        created.push(newBox);
+    }
+    await db.write();
+
+    // 🔴 Emit real-time events
+    created.forEach(box => emitToProject(req.project.id, 'box:created', box));
+
+    console.log(`🌍 GeoJSON import by ${req.user.email}: ${created.length} box(es), ${skipped.length} skipped`);
+
+    res.status(201).json({ created: created.length, skipped, boxes: created });
+}));
+
+// --- Dataset Splits ---
+// Assignment is in lib/splits.js; the ZIP exports and an admin's save store the assigned splits
+
+// Splits of a project's images; only `save` stores the new assignments
+async function splitDataset(project, images, { save = false } = {}) {
+    const stored = new Map(db.data.splits
+        .filter(s => s.projectId === project.id)
+        .map(s => [s.imageKey, s.split]));
+    const { split, added } = assignSplits(images, splitSettingsFor(project), stored);
+
+    if (save && added.length > 0) {
+        const createdAt = new Date().toISOString();
+        db.data.splits.push(...added.map(entry => ({ projectId: project.id, ...entry, createdAt })));
+        await db.write();
+    }
+    return split;
+}
+
+async function splitSummary(project, images = buildYoloExport(projectData(project)).images, options) {
+    const split = await splitDataset(project, images, options);
+    const saved = new Set(db.data.splits.filter(s => s.projectId === project.id).map(s => s.imageKey));
+    return {
+        settings: splitSettingsFor(project),
+        counts: Object.fromEntries(SPLITS.map(name => [name, split[name].length])),
+        unsaved: images.filter(img => !saved.has(imageKey(img))).length,
+        blocks: splitBlocks(images)
+    };
+}
+
+app.get('/api/export/splits', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.json(await splitSummary(req.project));
+}));
+
+// Stores the split of every image that has none yet, so later exports keep it
+app.post('/api/export/splits', authenticateToken, requireAdmin, requireProject, asyncHandler(async (req, res) => {
+    const summary = await splitSummary(req.project, undefined, { save: true });
+    console.log(`🔀 Splits of project ${req.project.id} saved by ${req.user.email}: ${JSON.stringify(summary.counts)}`);
+    res.json(summary);
+}));
+
+// Saving the settings reassigns and stores the splits of all images, except a frozen test set
+app.put('/api/export/splits', authenticateToken, requireAdmin, requireProject, asyncHandler(async (req, res) => {
+    const { settings, error } = parseSplitSettings({ ...splitSettingsFor(req.project), ...req.body });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const project = req.project;
+    project.splitSettings = settings;
+    db.data.splits = db.data.splits.filter(s =>
+        s.projectId !== project.id || (settings.freezeTest && s.split === 'test'));
+    await db.write();
+
+    const summary = await splitSummary(project, undefined, { save: true });
+    console.log(`🔀 Splits of project ${project.id} reassigned by ${req.user.email}: ${JSON.stringify(summary.counts)}`);
+
+    res.json(summary);
+}));
+
+// --- YOLO Export API ---
+
+// Ultralytics tasks: label line layout and a matching pretrained model
+const YOLO_TASKS = {
+    detect: { format: 'class_id x_center y_center width height', model: 'yolov8n.pt' },
+    segment: { format: 'class_id x1 y1 x2 y2 ... xn yn (polygon)', model: 'yolov8n-seg.pt' },
+    obb: { format: 'class_id x1 y1 x2 y2 x3 y3 x4 y4 (oriented box corners)', model: 'yolov8n-obb.pt' }
+};
+
+// Outline of a box in normalized image coordinates; rectangles use their corners
+function yoloOutline(box) {
+    if (box.yolo.points) return box.yolo.points;
+
+    const { x_center, y_center, width, height } = box.yolo;
+    const [x1, x2] = [x_center - width / 2, x_center + width / 2];
+    const [y1, y2] = [y_center - height / 2, y_center + height / 2];
+    return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+}
+
+// Monotone chain convex hull of [x, y] points
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const half = (list) => {
+        const hull = [];
+        for (const p of list) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        }
+        hull.pop();
+        return hull;
+    };
+    return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+// Smallest rotated rectangle around a normalized outline (rotating calipers over the
+// convex hull), computed in pixels so it is a true rectangle in the image
+function minAreaRect(outline, { width, height }) {
+    const hull = convexHull(outline.map(([x, y]) => [x * width, y * height]));
+
+    let best = null;
+    hull.forEach((p, i) => {
+        const q = hull[(i + 1) % hull.length];
+        const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        if (length === 0) return;
+
+        // Project the hull onto the edge direction (u) and its normal (v)
+        const ux = (q[0] - p[0]) / length;
+        const uy = (q[1] - p[1]) / length;
+        const us = hull.map(([x, y]) => x * ux + y * uy);
+        const vs = hull.map(([x, y]) => -x * uy + y * ux);
+        const [minU, maxU, minV, maxV] = [Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)];
+
+        const area = (maxU - minU) * (maxV - minV);
+        if (!best || area < best.area) best = { area, ux, uy, minU, maxU, minV, maxV };
+    });
+    if (!best) return outline;
+
+    const { ux, uy, minU, maxU, minV, maxV } = best;
+    const corner = (u, v) => [(u * ux - v * uy) / width, (u * uy + v * ux) / height];
+    return [corner(minU, minV), corner(maxU, minV), corner(maxU, maxV), corner(minU, maxV)];
+}
+
+function yoloLine(task, classId, box) {
+    const f = (value) => value.toFixed(6);
+
+    if (task === 'detect') {
+        return `${classId} ${f(box.yolo.x_center)} ${f(box.yolo.y_center)} ${f(box.yolo.width)} ${f(box.yolo.height)}`;
+    }
+
+    // Polygons have no oriented box of their own; the tightest one is used
+    let outline = yoloOutline(box);
+    if (task === 'obb' && box.shape === 'polygon') {
+        outline = minAreaRect(outline, box.imageSize);
+    }
+    return `${classId} ${outline.flat().map(f).join(' ')}`;
+}
+
+// `excludeDegraded` leaves out images with failed tiles
+function buildYoloExport(data, task = 'detect', { excludeDegraded = false } = {}) {
+    const degradedImages = new Set([
+        ...data.boxes.filter(b => isActive(b) && b.image && b.degraded).map(b => b.image),
+        ...data.scenes.filter(s => s.background && isActive(s) && s.image && s.degraded).map(s => s.image)
+    ]).size;
+    const boxes = data.boxes.filter(b => isActive(b) && !(excludeDegraded && b.degraded));
+    const labels = data.labels.filter(isActive);
+    const scenes = new Map(data.scenes.map(scene => [scene.id, scene]));
+
+    const labelToClass = {};
+    labels.forEach((label, index) => {
+        labelToClass[label.id] = index;
+    });
+
+    // Group boxes by image: a scene yields one image with many boxes,
+    // a standalone box yields one image with a single box
+    const imagesByPath = new Map();
+
+    boxes
+        .filter(box => box.image && box.yolo)
+        .forEach(box => {
+            const classId = labelToClass[box.labelId];
+            if (classId === undefined) return;
+
+            if (!imagesByPath.has(box.image)) {
+                imagesByPath.set(box.image, {
+                    sceneId: box.sceneId || null,
+                    boxIds: [],
+                    imagePath: box.image,
+                    imageSize: box.imageSize,
+                    bounds: scenes.get(box.sceneId)?.bounds || box.bounds,
+                    zoom: box.zoom,
+                    gsd: box.gsd ?? null,
+                    tileCount: box.tiles.length,
+                    gridSize: box.tileGrid ? `${box.tileGrid.width}x${box.tileGrid.height}` : '1x1',
+                    degraded: Boolean(box.degraded),
+                    annotations: []
+                });
+            }
+
+            const image = imagesByPath.get(box.image);
+            image.boxIds.push(box.id);
+            image.annotations.push({
+                boxId: box.id,
+                classId,
+                labelName: box.labelName,
+                x_center: box.yolo.x_center.toFixed(6),
+                y_center: box.yolo.y_center.toFixed(6),
+                width: box.yolo.width.toFixed(6),
+                height: box.yolo.height.toFixed(6),
+                pixel: box.yolo.pixel,
+                shape: box.shape || 'rect',
+                points: yoloOutline(box),
+                yoloLine: yoloLine(task, classId, box)
+            });
+        });
+
+    // Background chips are negative samples with an empty label file
+    data.scenes
+        .filter(scene => scene.background && isActive(scene) && scene.image && !(excludeDegraded && scene.degraded))
+        .forEach(scene => {
+            imagesByPath.set(scene.image, {
+                sceneId: scene.id,
+                background: true,
+                boxIds: [],
+                imagePath: scene.image,
+                imageSize: scene.imageSize,
+                bounds: scene.bounds,
+                zoom: scene.zoom,
+                gsd: scene.gsd ?? null,
+                tileCount: scene.tiles.length,
+                gridSize: `${scene.tileGrid.width}x${scene.tileGrid.height}`,
+                degraded: Boolean(scene.degraded),
+                annotations: []
+            });
+        });
+
+    const imageAnnotations = Array.from(imagesByPath.values()).map(image => ({
+        ...image,
+        yoloContent: image.annotations.map(a => a.yoloLine).join('\n')
+    }));
+
+    const classesContent = labels.map(l => l.name).join('\n');
+
+    return {
+        task,
+        classes: labels.map((l, i) => ({ id: i, name: l.name })),
+        classesFile: classesContent,
+        images: imageAnnotations,
+        totalBoxes: boxes.length,
+        totalImages: imageAnnotations.length,
+        backgroundImages: imageAnnotations.filter(image => image.background).length,
+        degradedImages,
+        excludeDegraded
+    };
+}
+
+function generateDataYaml(classes) {
+    return `# YOLO Dataset Configuration
+# Generated by Aeronir on ${new Date().toISOString()}
+
+path: .  # Dataset root directory
+train: train/images  # Train images relative to 'path'
+val: valid/images    # Validation images relative to 'path'
+test: test/images    # Test images relative to 'path' (optional)
+
+# Classes
+nc: ${classes.length}  # Number of classes
+names:
+${classes.map((c, i) => `  ${i}: ${c.name}`).join('\n')}
+`;
+}
+
+function generateDatasetReadme(exportData, split, settings) {
+    return `# YOLO Dataset Export
+
+Generated by Aeronir on ${new Date().toISOString()}
+
+## Structure
+
+\`\`\`
+dataset/
+├── train/
+│   ├── images/     # ${split.train.length} images
+│   └── labels/     # ${split.train.length} annotations
+├── valid/
+│   ├── images/     # ${split.valid.length} images
+│   └── labels/     # ${split.valid.length} annotations
+├── test/
+│   ├── images/     # ${split.test.length} images
+│   └── labels/     # ${split.test.length} annotations
+├── data.yaml       # YOLO configuration
+├── classes.txt     # Class names
+└── README.txt
+\`\`\`
+
+## Usage with YOLOv8
+
+\`\`\`bash
+# Start training
+yolo ${exportData.task} train data=data.yaml model=${YOLO_TASKS[exportData.task].model} epochs=100 imgsz=640
+
+# Validation
+yolo ${exportData.task} val data=data.yaml model=runs/${exportData.task}/train/weights/best.pt
+
+# Inference
+yolo ${exportData.task} predict model=runs/${exportData.task}/train/weights/best.pt source=path/to/images
+\`\`\`
+
+## Classes
+
+${exportData.classes.map((c, i) => `${i}: ${c.name}`).join('\n')}
+
+## Statistics
+
+- Classes: ${exportData.classes.length}
+- Total: ${exportData.totalImages} images (${exportData.backgroundImages} background)
+- Images with failed tiles: ${exportData.degradedImages}${exportData.excludeDegraded ? ' (left out)' : ''}
+- Train: ${split.train.length} (${Math.round(settings.train * 100)}%)
+- Valid: ${split.valid.length} (${Math.round(settings.valid * 100)}%)
+- Test: ${split.test.length} (${Math.round(settings.test * 100)}%)
+- Split seed: ${settings.seed}${settings.stratify ? ', stratified by class' : ''}
+
+## Notes
+
+- Images are stitched from the map tiles of the source selected while labeling
+- Annotations are in YOLO ${exportData.task} format: ${YOLO_TASKS[exportData.task].format}
+- All coordinates are normalized (0-1)
+- Background images (negative samples) have an empty label file
+`;
+}
+
+// Options shared by all exports: `?excludeDegraded=true` leaves out images with failed tiles
+function exportOptions(req) {
+    return { excludeDegraded: req.query.excludeDegraded === 'true' };
+}
+
+// `?task=detect|segment|obb` picks the label format (default: detect)
+app.get('/api/export/yolo', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const task = req.query.task || 'detect';
+    if (!YOLO_TASKS[task]) {
+        return res.status(400).json({ error: `task must be one of: ${Object.keys(YOLO_TASKS).join(', ')}` });
+    }
+
+    // The preview shows the same splits as the ZIP
+    const exportData = buildYoloExport(projectData(req.project), task, exportOptions(req));
+    const splits = await splitSummary(req.project, exportData.images);
+    res.json({ ...exportData, splits });
+}));
+
+function createZipStream(res, fileName) {
+    res.attachment(fileName);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (err) => console.warn('ZIP export warning:', err.message));
+    archive.on('error', (err) => {
+        console.error('ZIP export error:', err);
+        res.destroy(err);
+    });
+    archive.pipe(res);
+    return archive;
+}
+
+async function appendImageToZip(archive, img, name) {
+    const imagePath = path.join(__dirname, 'public', img.imagePath);
+    try {
+        await fs.access(imagePath);
+        // JPEGs don't compress any further
+        archive.file(imagePath, { name, store: true });
+    } catch (e) {
+        console.error(`ZIP export: missing image ${img.imagePath}`);
+    }
+}
+
+// Streams the complete dataset as ZIP, e.g. `curl -H "Authorization: Bearer $TOKEN" -o dataset.zip .../api/export/yolo.zip`
+app.get('/api/export/yolo.zip', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const task = req.query.task || 'detect';
+    if (!YOLO_TASKS[task]) {
+        return res.status(400).json({ error: `task must be one of: ${Object.keys(YOLO_TASKS).join(', ')}` });
+    }
+
+    const exportData = buildYoloExport(projectData(req.project), task, exportOptions(req));
+    if (exportData.images.length === 0) {
+        return res.status(400).json({ error: 'No annotations to export' });
+    }
+
+    const split = await splitDataset(req.project, exportData.images, { save: true });
+    const archive = createZipStream(res, `yolo_${task}_dataset_${Date.now()}.zip`);
+
+    for (const splitName of SPLITS) {
+        // Explicit folders so data.yaml paths exist even for an empty split
+        archive.append('', { name: `${splitName}/images/` });
+        archive.append('', { name: `${splitName}/labels/` });
+
+        for (const img of split[splitName]) {
+            const imageName = img.imagePath.split('/').pop();
+            const txtName = imageName.replace('.jpg', '.txt');
+
+            archive.append(img.yoloContent, { name: `${splitName}/labels/${txtName}` });
+            await appendImageToZip(archive, img, `${splitName}/images/${imageName}`);
+        }
+    }
+
+    archive.append(generateDataYaml(exportData.classes), { name: 'data.yaml' });
+    archive.append(exportData.classesFile, { name: 'classes.txt' });
+    archive.append(generateDatasetReadme(exportData, split, splitSettingsFor(req.project)), { name: 'README.txt' });
+
+    await archive.finalize();
+    console.log(`📥 YOLO ${task} ZIP export by ${req.user.email}: ${exportData.totalImages} image(s)`);
+}));
+
+// --- COCO Export API ---
+// Built from the same per-image data as the YOLO export, using the stored
+// pixel coordinates of each box. COCO category ids start at 1.
+
+// Stored pixel coordinates are unclipped; keep them inside the image
+function clampPixelBox(pixel, width, height) {
+    return {
+        x1: Math.max(0, Math.min(pixel.x1, pixel.x2)),
+        y1: Math.max(0, Math.min(pixel.y1, pixel.y2)),
+        x2: Math.min(width, Math.max(pixel.x1, pixel.x2)),
+        y2: Math.min(height, Math.max(pixel.y1, pixel.y2))
+    };
+}
+
+// Shoelace area of a flat [x1, y1, x2, y2, ...] outline
+function polygonArea(flat) {
+    let sum = 0;
+    for (let i = 0; i < flat.length; i += 2) {
+        const j = (i + 2) % flat.length;
+        sum += flat[i] * flat[j + 1] - flat[j] * flat[i + 1];
+    }
+    return Math.abs(sum) / 2;
+}
+
+function buildCocoInstances(exportData, images) {
+    const cocoImages = [];
+    const cocoAnnotations = [];
+
+    images.forEach((img) => {
+        const { width, height } = img.imageSize;
+        cocoImages.push({
+            id: img.cocoId,
+            file_name: img.imagePath.split('/').pop(),
+            width,
+            height
+        });
+
+        img.annotations.forEach((a) => {
+            const { x1, y1, x2, y2 } = clampPixelBox(a.pixel, width, height);
+            const w = Math.max(0, x2 - x1);
+            const h = Math.max(0, y2 - y1);
+            const outline = a.shape === 'rect'
+                ? [x1, y1, x2, y1, x2, y2, x1, y2]
+                : a.points.flatMap(([x, y]) => [Math.round(x * width), Math.round(y * height)]);
+
+            cocoAnnotations.push({
+                id: a.boxId,
+                image_id: img.cocoId,
+                category_id: a.classId + 1,
+                bbox: [x1, y1, w, h],
+                area: a.shape === 'rect' ? w * h : polygonArea(outline),
+                segmentation: [outline],
+                iscrowd: 0
+            });
+        });
+    });
+
+    return {
+        info: {
+            description: 'Aeronir dataset export',
+            version: '1.0',
+            date_created: new Date().toISOString()
+        },
+        licenses: [],
+        images: cocoImages,
+        annotations: cocoAnnotations,
+        categories: exportData.classes.map(c => ({ id: c.id + 1, name: c.name, supercategory: 'object' }))
+    };
+}
+
+function buildCocoExport(data, options) {
+    const exportData = buildYoloExport(data, 'detect', options);
+    exportData.images.forEach((img, index) => {
+        img.cocoId = index + 1;
+    });
+    return exportData;
+}
+
+app.get('/api/export/coco', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const exportData = buildCocoExport(projectData(req.project), exportOptions(req));
+    res.json(buildCocoInstances(exportData, exportData.images));
+}));
+
+app.get('/api/export/coco.zip', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const exportData = buildCocoExport(projectData(req.project), exportOptions(req));
+    if (exportData.images.length === 0) {
+        return res.status(400).json({ error: 'No annotations to export' });
+    }
+
+    const split = await splitDataset(req.project, exportData.images, { save: true });
+    const archive = createZipStream(res, `coco_dataset_${Date.now()}.zip`);
+
+    for (const splitName of SPLITS) {
+        archive.append('', { name: `${splitName}/` });
+
+        const instances = buildCocoInstances(exportData, split[splitName]);
+        archive.append(JSON.stringify(instances, null, 2), { name: `annotations/instances_${splitName}.json` });
+
+        for (const img of split[splitName]) {
+            await appendImageToZip(archive, img, `${splitName}/${img.imagePath.split('/').pop()}`);
+        }
+    }
+
+    await archive.finalize();
+    console.log(`📥 COCO ZIP export by ${req.user.email}: ${exportData.totalImages} image(s)`);
+}));
+
+// --- Pascal VOC Export API ---
+// One XML per image in VOC layout. VOC boxes use 1-based, inclusive pixel indices.
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function buildVocXml(img) {
+    const { width, height } = img.imageSize;
+    const objects = img.annotations.map((a) => {
+        const { x1, y1, x2, y2 } = clampPixelBox(a.pixel, width, height);
+        return `    <object>
+        <name>${escapeXml(a.labelName)}</name>
+        <pose>Unspecified</pose>
+        <truncated>0</truncated>
+        <difficult>0</difficult>
+        <bndbox>
+            <xmin>${Math.min(x1 + 1, width)}</xmin>
+            <ymin>${Math.min(y1 + 1, height)}</ymin>
+            <xmax>${Math.max(x2, 1)}</xmax>
+            <ymax>${Math.max(y2, 1)}</ymax>
+        </bndbox>
+    </object>`;
+    });
+
+    return `<annotation>
+    <folder>JPEGImages</folder>
+    <filename>${escapeXml(img.imagePath.split('/').pop())}</filename>
+    <source>
+        <database>Aeronir</database>
+    </source>
+    <size>
+        <width>${width}</width>
+        <height>${height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>0</segmented>
+${objects.join('\n')}
+</annotation>
+`;
+}
+
+app.get('/api/export/voc.zip', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const exportData = buildYoloExport(projectData(req.project), 'detect', exportOptions(req));
+    if (exportData.images.length === 0) {
+        return res.status(400).json({ error: 'No annotations to export' });
+    }
+
+    const split = await splitDataset(req.project, exportData.images, { save: true });
+    const archive = createZipStream(res, `voc_dataset_${Date.now()}.zip`);
+
+    // VOC calls the validation set "val"
+    const imageSets = { train: split.train, val: split.valid, test: split.test };
+    for (const [setName, images] of Object.entries(imageSets)) {
+        const ids = images.map(img => img.imagePath.split('/').pop().replace('.jpg', ''));
+        archive.append(ids.join('\n') + (ids.length ? '\n' : ''), { name: `ImageSets/Main/${setName}.txt` });
+    }
+
+    for (const img of exportData.images) {
+        const imageName = img.imagePath.split('/').pop();
+        archive.append(buildVocXml(img), { name: `Annotations/${imageName.replace('.jpg', '.xml')}` });
+        await appendImageToZip(archive, img, `JPEGImages/${imageName}`);
+    }
+
+    archive.append(exportData.classesFile, { name: 'labels.txt' });
+
+    await archive.finalize();
+    console.log(`📥 VOC ZIP export by ${req.user.email}: ${exportData.totalImages} image(s)`);
+}));
+
+// --- Tile Sources API ---
+
+app.get('/api/tile-sources', authenticateToken, asyncHandler(async (req, res) => {
+    res.json(db.data.tileSources.map(source => publicTileSource(source, req.user)));
+}));
+
+app.post('/api/tile-sources', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const { source, error } = parseTileSource(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (db.data.tileSources.some(s => s.name === source.name || s.url === source.url)) {
+        return res.status(400).json({ error: 'A tile source with this name or URL already exists' });
+    }
+
+    const id = db.nextId('tileSources');
+    const record = createTileSourceRecord(id, source);
+    db.data.tileSources.push(record);
+    await db.write();
+
+    console.log(`🗺️ Tile source ${id} "${record.name}" added by ${req.user.email}`);
+
+    res.status(201).json(record);
+}));
+
+app.put('/api/tile-sources/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const existing = db.data.tileSources.find(s => s.id === id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Tile source not found' });
+    }
+
+    const { source, error } = parseTileSource(req.body, existing);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (db.data.tileSources.some(s => s.id !== id && (s.name === source.name || s.url === source.url))) {
+        return res.status(400).json({ error: 'A tile source with this name or URL already exists' });
+    }
+
+    // Projects follow a changed URL; boxes keep the URL their image was made from
+    db.data.projects.forEach(project => {
+        if (project.tileUrl === existing.url) project.tileUrl = source.url;
+    });
+    Object.assign(existing, source);
+    await db.write();
+
+    res.json(existing);
+}));
+
+app.delete('/api/tile-sources/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const source = db.data.tileSources.find(s => s.id === id);
+    if (!source) {
+        return res.status(404).json({ error: 'Tile source not found' });
+    }
+    if (db.data.tileSources.length <= 1) {
+        return res.status(400).json({ error: 'Cannot delete the last tile source' });
+    }
+
+    // Projects that defaulted to it fall back to the first source
+    db.data.tileSources = db.data.tileSources.filter(s => s.id !== id);
+    db.data.projects.forEach(project => {
+        if (project.tileUrl === source.url) project.tileUrl = null;
+    });
+    await db.write();
+
+    console.log(`🗺️ Tile source ${id} "${source.name}" deleted by ${req.user.email}`);
+
+    res.json({ success: true });
+}));
+
+// --- OGC Sources API ---
+// Admin only, like registering sources: the server fetches whatever URL it is given
+
+function parseOgcSource({ type, url }) {
+    if (!OGC_TYPES.includes(type)) {
+        return { error: `type must be one of: ${OGC_TYPES.join(', ')}` };
+    }
+    if (!/^https?:\/\//.test(url || '')) {
+        return { error: 'url must be an http(s) service URL' };
+    }
+    return { type, url: url.trim() };
+}
+
+app.get('/api/ogc/capabilities', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const source = parseOgcSource(req.query);
+    if (source.error) {
+        return res.status(400).json({ error: source.error });
+    }
+
+    try {
+        res.json(await fetchCapabilities(source.type, source.url));
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+}));
+
+// Tile URL template for a WMS/WMTS layer, to be registered as a tile source
+app.post('/api/ogc/tile-url', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const source = parseOgcSource(req.body);
+    if (source.error) {
+        return res.status(400).json({ error: source.error });
+    }
+    if (!req.body.layer) {
+        return res.status(400).json({ error: 'layer is required' });
+    }
+
+    let capabilities;
+    try {
+        capabilities = await fetchCapabilities(source.type, source.url);
+    } catch (err) {
+        return res.status(502).json({ error: err.message });
+    }
+
+    const result = ogcTileUrl(capabilities, req.body);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    const layer = capabilities.layers.find(l => l.name === req.body.layer);
+    res.json({ ...result, title: layer.title });
+}));
+
+// --- Imagery API ---
+
+app.get('/api/imagery', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    res.json(db.data.imagery
+        .filter(i => i.projectId === req.project.id)
+        .map(i => ({ ...i, tileUrl: imageryTileUrl(i) })));
+}));
+
+// The file is the raw request body (GeoTIFF or MBTiles, told apart by their header)
+// Passes an upload through and fails once it exceeds the size limit (for uploads
+// without a Content-Length; the connection is dropped then)
+function limitUploadSize(maxBytes) {
+    let bytes = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (bytes <= maxBytes) return callback(null, chunk);
+            const err = new Error(`Imagery files can be up to ${maxBytes / 1024 / 1024} MB`);
+            err.status = 413;
+            callback(err);
+        }
+    });
+}
+
+app.post('/api/imagery', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    if (Number(req.headers['content-length']) > IMAGERY_MAX_BYTES) {
+        return res.status(413).json({ error: `Imagery files can be up to ${IMAGERY_MAX_BYTES / 1024 / 1024} MB` });
+    }
+
+    const id = db.nextId('imagery');
+    const uploadPath = path.join(IMAGERY_DIR, `upload_${id}_${Date.now()}`);
+
+    let record;
+    try {
+        await pipeline(req, limitUploadSize(IMAGERY_MAX_BYTES), createWriteStream(uploadPath));
+
+        const file = await fs.open(uploadPath, 'r');
+        const { buffer } = await file.read(Buffer.alloc(16), 0, 16, 0);
+        await file.close();
+
+        const name = String(req.query.name || '').trim();
+        const base = { id, projectId: req.project.id, userId: req.user.id, userEmail: req.user.email, createdAt: new Date().toISOString() };
+
+        if (buffer.toString('latin1', 0, 15) === 'SQLite format 3') {
+            const fileName = `imagery_${id}.mbtiles`;
+            await fs.rename(uploadPath, path.join(IMAGERY_DIR, fileName));
+            const info = readMbtilesInfo(path.join(IMAGERY_DIR, fileName));
+            record = { ...base, type: 'mbtiles', name: name || info.name || fileName, file: fileName, ...info };
+        } else {
+            const fileName = `imagery_${id}.tif`;
+            const extent = await normalizeGeoTiff(uploadPath, path.join(IMAGERY_DIR, fileName));
+            const sw = mercatorToLatLng(extent.minX, extent.minY);
+            const ne = mercatorToLatLng(extent.maxX, extent.maxY);
+            // Zoom at which one tile pixel matches one raster pixel
+            const nativeZoom = Math.round(Math.log2(WEB_MERCATOR_EXTENT * 2 / 256 / extent.resolution));
+            record = {
+                ...base,
+                type: 'geotiff',
+                name: name || fileName,
+                file: fileName,
+                extent,
+                bounds: { south: sw.lat, west: sw.lng, north: ne.lat, east: ne.lng },
+                minZoom: 0,
+                maxZoom: Math.max(0, nativeZoom)
+            };
+        }
+    } catch (err) {
+        closeMbtiles(path.join(IMAGERY_DIR, `imagery_${id}.mbtiles`));
+        for (const fileName of [`imagery_${id}.mbtiles`, `imagery_${id}.tif`]) {
+            await fs.rm(path.join(IMAGERY_DIR, fileName), { force: true });
+        }
+        if (err.status === 413) return res.status(413).json({ error: err.message });
+        return res.status(400).json({ error: `Could not read imagery: ${err.message}` });
+    } finally {
+        await fs.rm(uploadPath, { force: true });
+    }
+
+    db.data.imagery.push(record);
+    await db.write();
+
+    const imagery = { ...record, tileUrl: imageryTileUrl(record) };
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'imagery:created', imagery);
+
+    console.log(`🛰️ Imagery ${id} "${record.name}" (${record.type}) uploaded by ${req.user.email}`);
+
+    res.status(201).json(imagery);
+}));
+
+app.delete('/api/imagery/:id', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const imagery = db.data.imagery.find(i => i.id === id && i.projectId === req.project.id);
+    if (!imagery) {
+        return res.status(404).json({ error: 'Imagery not found' });
+    }
+    if (req.user.role !== 'admin' && imagery.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the uploader or an admin can delete imagery' });
+    }
+
+    // Boxes and scenes drawn on it keep their images
+    db.data.imagery = db.data.imagery.filter(i => i.id !== id);
+    await db.write();
+    await removeImagery(imagery);
+
+    // 🔴 Emit real-time event
+    emitToProject(req.project.id, 'imagery:deleted', { id });
+
+    res.json({ success: true });
+}));
+
+// XYZ tiles of uploaded imagery, for members of its project
+app.get('/imagery/:id/:z/:x/:y', authenticateToken, asyncHandler(async (req, res) => {
+    const imagery = db.data.imagery.find(i => i.id === Number(req.params.id));
+    if (!imagery || !projectsForUser(req.user).some(p => p.id === imagery.projectId)) {
+        return res.status(404).json({ error: 'Imagery not found' });
+    }
+
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24) {
+        return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    try {
+        const tile = await imageryTile(imagery, z, x, y);
+        const { format } = await sharp(tile).metadata();
+        res.type(format === 'jpeg' ? 'image/jpeg' : `image/${format}`);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.send(tile);
+    } catch (err) {
+        console.error(`Error rendering imagery tile ${z}/${x}/${y}:`, err.message);
+        res.status(500).json({ error: 'Could not render tile' });
+    }
+}));
+
+// --- Tile Proxy ---
+
+// Tiles of a registered source for the map, through the tile cache and the source's rate limit
+app.get('/tiles/:source/:z/:x/:y', authenticateToken, asyncHandler(async (req, res) => {
+    const source = db.data.tileSources.find(s => s.id === Number(req.params.source));
+    if (!source) {
+        return res.status(404).json({ error: 'Tile source not found' });
+    }
+
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+        return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    try {
+        const tile = await fetchSourceTile(source.url, z, x, y, TILE_PROXY_MAX_WAIT_MS);
+        const { format } = await sharp(tile).metadata();
+        res.type(format === 'jpeg' ? 'image/jpeg' : `image/${format}`);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.send(tile);
+    } catch (err) {
+        if (err.retryAfterMs !== undefined) {
+            res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+            return res.status(429).json({ error: err.message });
+        }
+        console.error(`Error proxying tile ${source.id}/${z}/${x}/${y}:`, err.message);
+        res.status(502).json({ error: 'Could not load tile from the source' });
+    }
+}));
+
+// --- Tile Cache Admin API ---
+
+app.get('/api/admin/tile-cache', authenticateToken, requireAdmin, (req, res) => {
+    res.json(getTileCacheStats());
+});
+
+app.delete('/api/admin/tile-cache', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const sourceKey = req.query.source || null;
+
+    if (sourceKey && !/^[0-9a-f]{12}$/.test(sourceKey)) {
+        return res.status(400).json({ error: 'Invalid source key' });
+    }
+
+    const removed = await purgeTileCache(sourceKey);
+    console.log(`🧹 Tile cache purged by ${req.user.email}: ${removed} tile(s)${sourceKey ? ` of source ${sourceKey}` : ''}`);
+
+    res.json({ success: true, removed });
+}));
+
+// --- Trash Admin API ---
+
+app.delete('/api/admin/trash', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const deletedBoxes = db.data.boxes.filter(b => b.deletedAt);
+    const deletedScenes = db.data.scenes.filter(s => s.deletedAt);
+    const deletedLabels = db.data.labels.filter(l => l.deletedAt);
+
+    const images = collectImages(deletedBoxes, deletedScenes);
+
+    // Purged images give up their split, restorable ones keep it
+    const purgedKeys = new Set([
+        ...deletedBoxes.map(b => `box:${b.id}`),
+        ...deletedScenes.map(s => `scene:${s.id}`)
+    ]);
+
+    db.data.boxes = db.data.boxes.filter(isActive);
+    db.data.scenes = db.data.scenes.filter(isActive);
+    db.data.labels = db.data.labels.filter(isActive);
+    db.data.splits = db.data.splits.filter(s => !purgedKeys.has(s.imageKey));
+    db.data.jobs = db.data.jobs.filter(j => !purgedKeys.has(`${j.kind}:${j.recordId}`));
+    await db.write();
+
+    await removeImages(images);
+
+    console.log(`🗑️ Trash emptied by ${req.user.email}: ${deletedBoxes.length} box(es), ${deletedScenes.length} scene(s), ${deletedLabels.length} label(s)`);
+
+    res.json({
+        success: true,
+        boxes: deletedBoxes.length,
+        scenes: deletedScenes.length,
+        labels: deletedLabels.length
+    });
+}));
+
+// --- DB API ---
+
+// Both routes work on the current project only
+app.get('/api/db', authenticateToken, requireProject, asyncHandler(async (req, res) => {
+    const safeData = {
+        project: req.project,
+        ...projectData(req.project),
+        users: db.data.users
+            .filter(u => req.project.members.includes(u.id))
+            .map(u => ({ id: u.id, email: u.email, role: u.role, createdAt: u.createdAt }))
+    };
+    res.json(safeData);
+}));
+
+app.delete('/api/db/reset', authenticateToken, requireAdmin, requireProject, asyncHandler(async (req, res) => {
+    const id = req.project.id;
+    const { boxes, scenes } = projectData(req.project);
+    const images = collectImages(boxes, scenes);
+
+    db.data.labels = db.data.labels.filter(l => l.projectId !== id);
+    db.data.boxes = db.data.boxes.filter(b => b.projectId !== id);
+    db.data.scenes = db.data.scenes.filter(s => s.projectId !== id);
+    db.data.splits = db.data.splits.filter(s => s.projectId !== id);
+    db.data.jobs = db.data.jobs.filter(j => j.projectId !== id);
+    await db.write();
+
+    await removeImages(images);
+
+    // 🔴 Emit real-time event
+    emitToProject(id, 'db:reset', { resetBy: req.user.email });
+
+    res.json({ success: true, message: `Project "${req.project.name}" reset` });
+}));
+
+// --- Static Files ---
+app.use(express.static(path.join(__dirname, 'public')));
+
+// --- HTML Page Routes ---
 app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
 app.get('/register', (req, res) => res.sendFile(path.join(__dirname, 'public', 'register.html')));
 app.get('/setup', (req, res) => res.sendFile(path.join(__dirname, 'public', 'setup.html')));
@@ -722,10 +3758,24 @@ app.get('/export', (req, res) => res.sendFile(path.join(__dirname, 'public', 'ex
 app.get('/view', (req, res) => res.sendFile(path.join(__dirname, 'public', 'view.html')));
 app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
 
+// --- Error Handling ---
+// Errors of handlers and middleware, e.g. malformed JSON bodies, answer in JSON like the API does
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(`Error in ${req.method} ${req.path}:`, err);
+    if (res.headersSent) return next(err);
+    res.status(status).json({ error: status < 500 && err.expose ? err.message : 'Internal server error' });
+});
+
 // --- Start Server ---
 const PORT = 3000;
 httpServer.listen(PORT, () => {
     console.log(`🛰️  Aeronir running at http://localhost:${PORT}`);
     console.log(`🔌 WebSocket ready for real-time sync`);
     console.log(`📁 Tiles saved to ${TILES_DIR}`);
+    console.log(`🗄️  Tile cache: ${tileCache.entries.size} tile(s) in ${TILE_CACHE_DIR}`);
+    console.log(`🧵 Image jobs: ${db.data.jobs.filter(j => j.status === 'queued').length} queued, ${IMAGE_JOB_CONCURRENCY} at a time`);
+
+    // Jobs left over from the last run
+    pumpImageJobs();
 });
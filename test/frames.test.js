@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { calculateYoloForComposite, chipFrame, chipGridFrames, frameBounds, frameTileGrid, planCapture } from '../lib/frames.js';
+import { globalPixelToLatLng, tileRangeBounds } from '../lib/tiles.js';
+
+const ZOOM = 16;
+const X0 = 34400 * 256;
+const Y0 = 21400 * 256;
+
+// Bounds of a global pixel rectangle at ZOOM
+function pixelArea(x1, y1, x2, y2) {
+    const nw = globalPixelToLatLng(x1, y1, ZOOM);
+    const se = globalPixelToLatLng(x2, y2, ZOOM);
+    return { south: se.lat, west: nw.lng, north: nw.lat, east: se.lng };
+}
+
+// 511.5 px square just inside the four tiles 34400–34401 / 21400–21401
+const TILES = pixelArea(X0 + 0.25, Y0 + 0.25, X0 + 511.75, Y0 + 511.75);
+
+const project = chipSettings => ({ chipSettings });
+
+function assertClose(actual, expected, delta = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= delta, `${actual} is not within ${delta} of ${expected}`);
+}
+
+describe('chipFrame', () => {
+    it('shows the whole tile grid in native mode', () => {
+        const frame = chipFrame(project(), TILES, ZOOM);
+        assert.deepEqual(frame, {
+            originX: X0,
+            originY: Y0,
+            width: 512,
+            height: 512,
+            scale: 1,
+            padX: 0,
+            padY: 0,
+            outWidth: 512,
+            outHeight: 512
+        });
+    });
+
+    it('centres a fixed square on small bounds in crop mode', () => {
+        const frame = chipFrame(project({ mode: 'crop', size: 320 }), TILES, ZOOM);
+        assert.equal(frame.width, 512);
+        assert.equal(frame.originX, X0);
+        assert.equal(frame.scale, 320 / 512);
+        assert.equal(frame.outWidth, 320);
+
+        const small = chipFrame(project({ mode: 'crop', size: 640 }), TILES, ZOOM);
+        assert.equal(small.width, 640);
+        assert.equal(small.scale, 1);
+        assert.equal(small.originX, X0 - 64);
+        assert.equal(small.originY, Y0 - 64);
+    });
+
+    it('scales the tile grid into the square and pads it in letterbox mode', () => {
+        const wide = pixelArea(X0 + 0.25, Y0 + 0.25, X0 + 511.75, Y0 + 255.75);
+        const frame = chipFrame(project({ mode: 'letterbox', size: 256 }), wide, ZOOM);
+        assert.equal(frame.width, 512);
+        assert.equal(frame.height, 256);
+        assert.equal(frame.scale, 0.5);
+        assert.equal(frame.padX, 0);
+        assert.equal(frame.padY, 64);
+        assert.equal(frame.outHeight, 256);
+    });
+
+    it('adds the margin around the bounds in tight mode', () => {
+        const pixels = chipFrame(project({ mode: 'tight', margin: 10, marginUnit: 'px' }), TILES, ZOOM);
+        assert.equal(pixels.originX, X0 - 10);
+        assert.equal(pixels.width, 532);
+        assert.equal(pixels.outWidth, 532);
+
+        const percent = chipFrame(project({ mode: 'tight', margin: 50, marginUnit: '%' }), TILES, ZOOM);
+        assert.equal(percent.originX, X0 - 256);
+        assert.equal(percent.width, 1024);
+    });
+});
+
+describe('frame geometry', () => {
+    it('maps the bounds onto the middle of a centred crop', () => {
+        const frame = chipFrame(project({ mode: 'crop', size: 640 }), TILES, ZOOM);
+        const yolo = calculateYoloForComposite(TILES, frame, ZOOM);
+        assertClose(yolo.x_center, 0.5);
+        assertClose(yolo.y_center, 0.5);
+        assertClose(yolo.width, 511.5 / 640);
+        assertClose(yolo.height, 511.5 / 640);
+        assert.deepEqual(yolo.pixel, { x1: 64, y1: 64, x2: 576, y2: 576 });
+    });
+
+    it('lists the tiles a frame needs and the area it shows', () => {
+        const frame = chipFrame(project({ mode: 'crop', size: 640 }), TILES, ZOOM);
+        const grid = frameTileGrid(frame, ZOOM);
+        assert.equal(grid.minX, 34399);
+        assert.equal(grid.maxX, 34402);
+        assert.equal(grid.gridWidth, 4);
+        assert.equal(grid.tiles.length, 16);
+
+        const bounds = frameBounds(chipFrame(project(), TILES, ZOOM), ZOOM);
+        const tiles = tileRangeBounds(34400, 21400, 34401, 21401, ZOOM);
+        for (const side of ['south', 'west', 'north', 'east']) assertClose(bounds[side], tiles[side]);
+    });
+
+    it('covers the bounds with a centred grid of chips', () => {
+        const frames = chipGridFrames(TILES, ZOOM, 200);
+        assert.equal(frames.length, 9);
+        assert.equal(frames[0].originX, X0 - 44);
+        assert.equal(frames[1].originX - frames[0].originX, 200);
+        assert.equal(frames[3].originY - frames[0].originY, 200);
+        assert.ok(frames.every(frame => frame.width === 200 && frame.outHeight === 200));
+    });
+});
+
+describe('planCapture', () => {
+    const limited = (chipSettings = {}) => ({ chipSettings, captureLimits: { maxTiles: 4, maxPixels: 8192 } });
+
+    it('accepts areas within the limits', () => {
+        assert.deepEqual(planCapture(limited(), TILES, ZOOM), { tiled: false });
+    });
+
+    it('rejects oversize areas unless they are split', () => {
+        const plan = planCapture(limited(), TILES, ZOOM + 1);
+        assert.match(plan.error, /spans 16 tiles/);
+        assert.equal(plan.oversize.tiles, 16);
+
+        assert.deepEqual(planCapture(limited({ size: 256 }), TILES, ZOOM + 1, 256, { split: true }), { tiled: true });
+        assert.ok(planCapture(limited({ size: 256 }), TILES, ZOOM + 1, 256, { split: true, canSplit: false }).error);
+    });
+
+    it('rejects zooms that are not an integer from 0 to 24', () => {
+        for (const zoom of [1e6, Infinity, -1, 25, 16.5, NaN, '16', 'abc', null, undefined]) {
+            const plan = planCapture(project(), TILES, zoom);
+            assert.equal(plan.error, 'Zoom must be an integer between 0 and 24', `zoom ${zoom}`);
+        }
+    });
+
+    it('rejects areas without a finite size', () => {
+        for (const east of [Infinity, NaN]) {
+            assert.equal(planCapture(project(), { ...TILES, east }, ZOOM).error, 'The area has no finite size');
+        }
+    });
+
+    it('splits areas larger than one chip in tile mode', () => {
+        assert.deepEqual(planCapture(project({ mode: 'tile', size: 256 }), TILES, ZOOM), { tiled: true });
+        assert.deepEqual(planCapture(project({ mode: 'tile', size: 640 }), TILES, ZOOM), { tiled: false });
+    });
+});
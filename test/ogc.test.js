@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { capabilitiesUrl, ogcTileUrl, parseWmsCapabilities, parseWmtsCapabilities, parseXml } from '../lib/ogc.js';
+
+const WMS_130 = `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <Capability>
+    <Request>
+      <GetMap>
+        <Format>image/png</Format>
+        <Format>image/jpeg</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="https://maps.example.com/wms?map=ortho&amp;"/></Get></HTTP></DCPType>
+      </GetMap>
+    </Request>
+    <Layer>
+      <Title>Root</Title>
+      <Layer queryable="1">
+        <Name>ortho</Name>
+        <Title>Orthophotos &amp; more</Title>
+        <Style><Name>default</Name></Style>
+        <Style><Name>infrared</Name></Style>
+        <Dimension name="time" units="ISO8601" default="2023">2021, 2022,2023</Dimension>
+      </Layer>
+      <Layer><Name>roads</Name></Layer>
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`;
+
+const WMS_111 = `<WMT_MS_Capabilities version="1.1.1">
+  <Capability>
+    <Request><GetMap><Format>image/jpeg</Format></GetMap></Request>
+    <Layer>
+      <Name>scenes</Name>
+      <Title><![CDATA[Scenes <daily>]]></Title>
+      <Dimension name="time" units="ISO8601"/>
+      <Extent name="time" default="2024-01-01">2024-01-01/2024-12-31/P1D</Extent>
+    </Layer>
+  </Capability>
+</WMT_MS_Capabilities>`;
+
+const WMTS = `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities version="1.0.0" xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1">
+  <ows:OperationsMetadata>
+    <ows:Operation name="GetCapabilities">
+      <ows:DCP><ows:HTTP><ows:Get xlink:href="https://tiles.example.com/caps"/></ows:HTTP></ows:DCP>
+    </ows:Operation>
+    <ows:Operation name="GetTile">
+      <ows:DCP><ows:HTTP><ows:Get xlink:href="https://tiles.example.com/wmts?"/></ows:HTTP></ows:DCP>
+    </ows:Operation>
+  </ows:OperationsMetadata>
+  <Contents>
+    <Layer>
+      <ows:Title>Satellite</ows:Title>
+      <ows:Identifier>sat</ows:Identifier>
+      <Style isDefault="true"><ows:Identifier>default</ows:Identifier></Style>
+      <Format>image/png</Format>
+      <Format>image/jpeg</Format>
+      <TileMatrixSetLink><TileMatrixSet>WGS84</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>g</TileMatrixSet></TileMatrixSetLink>
+      <ResourceURL format="image/jpeg" resourceType="tile"
+        template="https://tiles.example.com/sat/{Style}/{Time}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.jpg"/>
+      <Dimension>
+        <ows:Identifier>Time</ows:Identifier>
+        <Default>2024-06-01</Default>
+        <Value>2024-05-01</Value>
+        <Value>2024-06-01</Value>
+      </Dimension>
+    </Layer>
+    <Layer>
+      <ows:Identifier>labels</ows:Identifier>
+      <Format>image/png</Format>
+      <TileMatrixSetLink><TileMatrixSet>g</TileMatrixSet></TileMatrixSetLink>
+    </Layer>
+    <TileMatrixSet>
+      <ows:Identifier>WGS84</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::4326</ows:SupportedCRS>
+      <TileMatrix><ows:Identifier>0</ows:Identifier></TileMatrix>
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>g</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>
+      <TileMatrix><ows:Identifier>g:0</ows:Identifier></TileMatrix>
+      <TileMatrix><ows:Identifier>g:1</ows:Identifier></TileMatrix>
+      <TileMatrix><ows:Identifier>g:2</ows:Identifier></TileMatrix>
+    </TileMatrixSet>
+  </Contents>
+</Capabilities>`;
+
+describe('capabilitiesUrl', () => {
+    it('appends the request to the service URL', () => {
+        assert.equal(capabilitiesUrl('wms', 'https://a.example/wms'), 'https://a.example/wms?SERVICE=WMS&REQUEST=GetCapabilities');
+        assert.equal(capabilitiesUrl('wmts', 'https://a.example/?key=1'), 'https://a.example/?key=1&SERVICE=WMTS&REQUEST=GetCapabilities');
+    });
+});
+
+describe('parseWmsCapabilities', () => {
+    it('reads named layers with styles and time of a 1.3.0 document', () => {
+        const capabilities = parseWmsCapabilities(parseXml(WMS_130), 'https://fallback.example/wms');
+        assert.equal(capabilities.version, '1.3.0');
+        assert.equal(capabilities.url, 'https://maps.example.com/wms?map=ortho&');
+        assert.deepEqual(capabilities.formats, ['image/png', 'image/jpeg']);
+        assert.deepEqual(capabilities.layers, [
+            {
+                name: 'ortho',
+                title: 'Orthophotos & more',
+                styles: ['default', 'infrared'],
+                time: { default: '2023', values: ['2021', '2022', '2023'] }
+            },
+            { name: 'roads', title: 'roads', styles: [], time: null }
+        ]);
+    });
+
+    it('reads the time extent and CDATA of a 1.1.1 document', () => {
+        const capabilities = parseWmsCapabilities(parseXml(WMS_111), 'https://fallback.example/wms');
+        assert.equal(capabilities.version, '1.1.1');
+        assert.equal(capabilities.url, 'https://fallback.example/wms');
+        assert.equal(capabilities.layers[0].title, 'Scenes <daily>');
+        assert.deepEqual(capabilities.layers[0].time, { default: '2024-01-01', values: ['2024-01-01/2024-12-31/P1D'] });
+    });
+});
+
+describe('parseWmtsCapabilities', () => {
+    const capabilities = parseWmtsCapabilities(parseXml(WMTS), 'https://fallback.example/wmts');
+
+    it('keeps only Web Mercator matrix sets with zoom-numbered matrices', () => {
+        assert.deepEqual(capabilities.matrixSets, { g: { prefix: 'g:', maxZoom: 2 } });
+        assert.deepEqual(capabilities.layers[0].tileMatrixSets, ['g']);
+    });
+
+    it('reads layers with their formats, resource URL and time', () => {
+        assert.equal(capabilities.url, 'https://tiles.example.com/wmts?');
+        const [sat, labels] = capabilities.layers;
+        assert.equal(sat.name, 'sat');
+        assert.equal(sat.title, 'Satellite');
+        assert.deepEqual(sat.styles, ['default']);
+        assert.deepEqual(sat.formats, ['image/png', 'image/jpeg']);
+        assert.deepEqual(sat.time, { default: '2024-06-01', values: ['2024-05-01', '2024-06-01'] });
+        assert.equal(labels.title, 'labels');
+        assert.equal(labels.resourceUrl, null);
+    });
+});
+
+describe('ogcTileUrl', () => {
+    it('builds a WMS GetMap template with a {bbox} placeholder', () => {
+        const capabilities = parseWmsCapabilities(parseXml(WMS_130), 'https://fallback.example/wms');
+        const { tileUrl, maxZoom } = ogcTileUrl(capabilities, { layer: 'ortho', style: 'infrared' });
+        assert.equal(maxZoom, 22);
+
+        const url = new URL(tileUrl.replace('{bbox}', '0,0,1,1'));
+        assert.equal(url.origin + url.pathname, 'https://maps.example.com/wms');
+        assert.equal(url.searchParams.get('map'), 'ortho');
+        assert.equal(url.searchParams.get('LAYERS'), 'ortho');
+        assert.equal(url.searchParams.get('STYLES'), 'infrared');
+        assert.equal(url.searchParams.get('FORMAT'), 'image/jpeg');
+        assert.equal(url.searchParams.get('CRS'), 'EPSG:3857');
+        assert.equal(url.searchParams.get('TIME'), '2023');
+        assert.ok(tileUrl.endsWith('&BBOX={bbox}'));
+    });
+
+    it('uses SRS for WMS 1.1.1', () => {
+        const capabilities = parseWmsCapabilities(parseXml(WMS_111), 'https://fallback.example/wms');
+        const url = new URL(ogcTileUrl(capabilities, { layer: 'scenes' }).tileUrl);
+        assert.equal(url.searchParams.get('SRS'), 'EPSG:3857');
+        assert.equal(url.searchParams.get('CRS'), null);
+    });
+
+    it('fills a WMTS resource URL template', () => {
+        const capabilities = parseWmtsCapabilities(parseXml(WMTS), 'https://fallback.example/wmts');
+        assert.deepEqual(ogcTileUrl(capabilities, { layer: 'sat', time: '2024-05-01' }), {
+            tileUrl: 'https://tiles.example.com/sat/default/2024-05-01/g/g:{z}/{y}/{x}.jpg',
+            maxZoom: 2
+        });
+    });
+
+    it('builds a WMTS KVP GetTile template without a resource URL', () => {
+        const capabilities = parseWmtsCapabilities(parseXml(WMTS), 'https://fallback.example/wmts');
+        const { tileUrl } = ogcTileUrl(capabilities, { layer: 'labels' });
+        assert.equal(tileUrl, 'https://tiles.example.com/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=labels' +
+            '&STYLE=&FORMAT=image%2Fpng&TILEMATRIXSET=g&TILEMATRIX=g%3A{z}&TILEROW={y}&TILECOL={x}');
+    });
+
+    it('reports unknown layers and layers without a Web Mercator matrix set', () => {
+        const capabilities = parseWmtsCapabilities(parseXml(WMTS), 'https://fallback.example/wmts');
+        assert.deepEqual(ogcTileUrl(capabilities, { layer: 'nope' }), { error: 'Layer "nope" not found' });
+        assert.match(ogcTileUrl(capabilities, { layer: 'sat', tileMatrixSet: 'WGS84' }).error, /no Web Mercator tile matrix set/);
+    });
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { assignSplits, imageKey, parseSplitSettings, splitBlocks } from '../lib/splits.js';
+
+const SETTINGS = {
+    train: 0.8,
+    valid: 0.15,
+    test: 0.05,
+    seed: 42,
+    stratify: true,
+    freezeTest: true,
+    mode: 'random',
+    blockZoom: 10
+};
+
+// Scene images with one box of `classId`, spread over a grid of 0.1° cells
+function scenes(count, { classId = 0, firstId = 1 } = {}) {
+    return Array.from({ length: count }, (_, i) => {
+        const south = 50 + Math.floor(i / 10) * 0.1;
+        const west = 8 + (i % 10) * 0.1;
+        return {
+            sceneId: firstId + i,
+            boxIds: [firstId + i],
+            bounds: { south, west, north: south + 0.01, east: west + 0.01 },
+            annotations: [{ classId }]
+        };
+    });
+}
+
+const counts = split => Object.fromEntries(Object.entries(split).map(([name, images]) => [name, images.length]));
+const stored = (...entries) => new Map(entries);
+
+describe('parseSplitSettings', () => {
+    it('normalizes valid settings', () => {
+        const { settings } = parseSplitSettings({ ...SETTINGS, train: '0.7', valid: '0.2', test: '0.1', seed: '7', blockZoom: '12' });
+        assert.deepEqual(settings, { ...SETTINGS, train: 0.7, valid: 0.2, test: 0.1, seed: 7, blockZoom: 12 });
+    });
+
+    it('rejects ratios that are out of range or do not add up', () => {
+        assert.match(parseSplitSettings({ ...SETTINGS, train: 1.2 }).error, /between 0 and 1/);
+        assert.match(parseSplitSettings({ ...SETTINGS, train: 0.5 }).error, /add up to 1/);
+    });
+
+    it('rejects unknown modes, seeds and block zooms', () => {
+        assert.match(parseSplitSettings({ ...SETTINGS, mode: 'cluster' }).error, /mode must be one of/);
+        assert.match(parseSplitSettings({ ...SETTINGS, seed: 1.5 }).error, /seed/);
+        assert.match(parseSplitSettings({ ...SETTINGS, blockZoom: 0 }).error, /blockZoom/);
+    });
+});
+
+describe('assignSplits', () => {
+    it('splits by the ratios and reports every new assignment', () => {
+        const images = scenes(100);
+        const { split, added } = assignSplits(images, SETTINGS, stored());
+        assert.deepEqual(counts(split), { train: 80, valid: 15, test: 5 });
+        assert.equal(added.length, 100);
+        assert.ok(images.every(img => added.some(a => a.imageKey === imageKey(img) && a.split === img.split)));
+    });
+
+    it('gives the same split for the same seed, whatever the image order', () => {
+        const first = scenes(50);
+        const second = scenes(50).reverse();
+        assignSplits(first, SETTINGS, stored());
+        assignSplits(second, SETTINGS, stored());
+
+        const byKey = images => Object.fromEntries(images.map(img => [imageKey(img), img.split]));
+        assert.deepEqual(byKey(second), byKey(first));
+
+        const other = scenes(50);
+        assignSplits(other, { ...SETTINGS, seed: 7 }, stored());
+        assert.notDeepEqual(byKey(other), byKey(first));
+    });
+
+    it('balances every class across the splits when stratified', () => {
+        const images = [...scenes(40, { classId: 0 }), ...scenes(20, { classId: 1, firstId: 41 })];
+        const { split } = assignSplits(images, { ...SETTINGS, train: 0.5, valid: 0.25, test: 0.25 }, stored());
+        for (const name of ['train', 'valid', 'test']) {
+            const ofClass = classId => split[name].filter(img => img.annotations[0].classId === classId).length;
+            assert.equal(ofClass(0), name === 'train' ? 20 : 10);
+            assert.equal(ofClass(1), name === 'train' ? 10 : 5);
+        }
+    });
+
+    it('keeps stored splits and only adds the missing ones', () => {
+        const images = scenes(10);
+        const { added } = assignSplits(images, SETTINGS, stored(['scene:1', 'valid'], ['scene:2', 'valid']));
+        assert.equal(images[0].split, 'valid');
+        assert.equal(images[1].split, 'valid');
+        assert.deepEqual(added.map(a => a.imageKey).sort(), images.slice(2).map(imageKey).sort());
+    });
+
+    it('keeps every saved split when an image is added, while unsaved ones can move', () => {
+        const byKey = images => Object.fromEntries(images.map(img => [imageKey(img), img.split]));
+        const first = scenes(20);
+        const { added } = assignSplits(first, SETTINGS, stored());
+        const saved = stored(...added.map(a => [a.imageKey, a.split]));
+
+        const withSaved = scenes(21);
+        const result = assignSplits(withSaved, SETTINGS, saved);
+        assert.deepEqual(byKey(withSaved.slice(0, 20)), byKey(first));
+        assert.deepEqual(result.added.map(a => a.imageKey), ['scene:21']);
+
+        const unsaved = scenes(21);
+        assignSplits(unsaved, SETTINGS, stored());
+        assert.notDeepEqual(byKey(unsaved.slice(0, 20)), byKey(first));
+    });
+
+    it('sends new images only to train and valid once a test set is frozen', () => {
+        const images = scenes(40);
+        const { split } = assignSplits(images, { ...SETTINGS, test: 0.5, train: 0.4, valid: 0.1 }, stored(['scene:1', 'test']));
+        assert.deepEqual(split.test.map(imageKey), ['scene:1']);
+
+        const unfrozen = scenes(40);
+        assignSplits(unfrozen, { ...SETTINGS, test: 0.5, train: 0.4, valid: 0.1, freezeTest: false }, stored(['scene:1', 'test']));
+        assert.ok(unfrozen.filter(img => img.split === 'test').length > 1);
+    });
+
+    it('assigns whole blocks in block mode', () => {
+        const images = scenes(100);
+        assignSplits(images, { ...SETTINGS, mode: 'block', blockZoom: 8 }, stored());
+
+        const blocks = new Map();
+        images.forEach(img => {
+            assert.match(img.block, /^8\/\d+\/\d+$/);
+            blocks.set(img.block, [...(blocks.get(img.block) || []), img.split]);
+        });
+        assert.ok(blocks.size > 1);
+        blocks.forEach(splits => assert.equal(new Set(splits).size, 1));
+    });
+
+    it('lets new images join their block, but not a frozen test block', () => {
+        const settings = { ...SETTINGS, mode: 'block', blockZoom: 8 };
+        const [first, second, third] = scenes(3);
+
+        assignSplits([first, second, third], settings, stored(['scene:1', 'valid']));
+        assert.deepEqual([first.split, second.split, third.split], ['valid', 'valid', 'valid']);
+
+        const { added } = assignSplits([first, second, third], settings, stored(['scene:1', 'test']));
+        assert.equal(first.split, 'test');
+        assert.ok(['train', 'valid'].includes(second.split));
+        assert.ok(['train', 'valid'].includes(third.split));
+        assert.deepEqual(added.map(a => a.imageKey).sort(), ['scene:2', 'scene:3']);
+    });
+});
+
+describe('splitBlocks', () => {
+    it('outlines each block with the split most of its images have', () => {
+        const images = scenes(3);
+        assignSplits(images, { ...SETTINGS, mode: 'block', blockZoom: 8 }, stored(['scene:1', 'valid']));
+
+        const [block] = splitBlocks(images);
+        assert.equal(block.key, images[0].block);
+        assert.equal(block.images, 3);
+        assert.equal(block.split, 'valid');
+        assert.ok(block.bounds.south < 50 && block.bounds.north > 50.01);
+    });
+});
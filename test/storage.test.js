@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import Database from 'better-sqlite3';
+
+import { importLegacyDatabase, openStorage } from '../lib/storage.js';
+
+let dir;
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aeronir-storage-'));
+});
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+const file = name => path.join(dir, name);
+
+describe('openStorage', () => {
+    it('creates every collection in a new database', () => {
+        const db = openStorage(file('new.sqlite'));
+        assert.deepEqual(db.collections.sort(),
+            ['boxes', 'imagery', 'jobs', 'labels', 'projects', 'scenes', 'splits', 'tileSources', 'users']);
+        db.collections.forEach(name => assert.deepEqual(db.data[name], []));
+    });
+
+    it('stores added, changed and removed records', async () => {
+        const db = openStorage(file('records.sqlite'));
+        db.data.labels.push({ id: db.nextId('labels'), name: 'ship', tags: ['sea'] });
+        db.data.labels.push({ id: db.nextId('labels'), name: 'car' });
+        db.data.boxes.push({ id: db.nextId('boxes'), labelId: 1 });
+        await db.write();
+
+        db.data.labels[0].tags.push('port');
+        db.data.labels[1].name = 'truck';
+        db.data.boxes = db.data.boxes.filter(box => box.id !== 1);
+        await db.write();
+
+        const reopened = openStorage(file('records.sqlite'));
+        assert.deepEqual(reopened.data.labels, [
+            { id: 1, name: 'ship', tags: ['sea', 'port'] },
+            { id: 2, name: 'truck' }
+        ]);
+        assert.deepEqual(reopened.data.boxes, []);
+    });
+
+    it('never hands out an id again, even after the record is gone', async () => {
+        const db = openStorage(file('sequences.sqlite'));
+        db.data.boxes.push({ id: db.nextId('boxes') }, { id: 7 });
+        await db.write();
+        db.data.boxes = [];
+        await db.write();
+
+        assert.equal(openStorage(file('sequences.sqlite')).nextId('boxes'), 8);
+    });
+
+    it('keys splits by project and image, and moves a row when its key changes', async () => {
+        const db = openStorage(file('splits.sqlite'));
+        db.data.splits.push({ projectId: 1, imageKey: 'scene:1', split: 'train' });
+        db.data.splits.push({ projectId: 2, imageKey: 'scene:1', split: 'test' });
+        await db.write();
+
+        db.data.splits[0].imageKey = 'scene:2';
+        await db.write();
+
+        const reopened = openStorage(file('splits.sqlite'));
+        assert.deepEqual(reopened.data.splits.map(s => `${s.projectId}/${s.imageKey}/${s.split}`).sort(),
+            ['1/scene:2/train', '2/scene:1/test']);
+    });
+
+    it('keeps other top-level values in meta', async () => {
+        const db = openStorage(file('meta.sqlite'));
+        db.data.settings = { theme: 'dark' };
+        db.data.obsolete = 1;
+        await db.write();
+        db.data.settings.theme = 'light';
+        delete db.data.obsolete;
+        await db.write();
+
+        const reopened = openStorage(file('meta.sqlite'));
+        assert.deepEqual(reopened.data.settings, { theme: 'light' });
+        assert.equal('obsolete' in reopened.data, false);
+    });
+
+    it('does not store changes that were never written', async () => {
+        const db = openStorage(file('unwritten.sqlite'));
+        db.data.users.push({ id: db.nextId('users'), email: 'a@b.c' });
+        await db.write();
+        db.data.users[0].email = 'x@y.z';
+
+        assert.equal(openStorage(file('unwritten.sqlite')).data.users[0].email, 'a@b.c');
+    });
+});
+
+describe('find', () => {
+    const box = (id, fields) => ({ id, projectId: 1, labelId: 1, userId: 1, bounds: { south: 0, west: 0, north: 1, east: 1 }, ...fields });
+
+    it('finds records by indexed fields and overlapping bounds', async () => {
+        const db = openStorage(file('find.sqlite'));
+        db.data.boxes.push(
+            box(1),
+            box(2, { labelId: 2, bounds: { south: 5, west: 5, north: 6, east: 6 } }),
+            box(3, { projectId: 2, userId: 2 })
+        );
+        await db.write();
+
+        const ids = (collection, where) => db.find(collection, where).map(record => record.id);
+        assert.deepEqual(ids('boxes', { labelId: 1 }), [1, 3]);
+        assert.deepEqual(ids('boxes', { projectId: 1, userId: 1 }), [1, 2]);
+        assert.deepEqual(ids('boxes', { projectId: 1, bounds: { south: 0.5, west: 0.5, north: 5.5, east: 5.5 } }), [1, 2]);
+        assert.deepEqual(ids('boxes', { projectId: 1, bounds: { south: 1, west: 0, north: 5, east: 5 } }), []);
+        assert.throws(() => db.find('boxes', { shape: 'rect' }), /can't be searched by shape/);
+    });
+
+    it('writes pending changes first and hands out the records of db.data', () => {
+        const db = openStorage(file('pending.sqlite'));
+        db.data.boxes.push(box(1), box(2));
+        db.data.boxes[1].labelId = 2;
+
+        const [found] = db.find('boxes', { labelId: 2 });
+        assert.equal(found, db.data.boxes[1]);
+        found.labelId = 3;
+        assert.deepEqual(db.find('boxes', { labelId: 3 }).map(record => record.id), [2]);
+
+        db.data.boxes = db.data.boxes.filter(record => record.id !== 2);
+        assert.deepEqual(db.find('boxes', { projectId: 1 }).map(record => record.id), [1]);
+    });
+
+    it('adds the indexed columns to a database from before they existed', () => {
+        const sqlite = new Database(file('v1.sqlite'));
+        sqlite.exec(`
+            CREATE TABLE meta (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+            CREATE TABLE sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL);
+            CREATE TABLE labels (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+            CREATE TABLE boxes (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+            CREATE TABLE scenes (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+        `);
+        sqlite.prepare('INSERT INTO boxes (id, data) VALUES (?, ?)').run(1, JSON.stringify(box(1, { labelId: 7 })));
+        sqlite.pragma('user_version = 1');
+        sqlite.close();
+
+        const db = openStorage(file('v1.sqlite'));
+        assert.deepEqual(db.find('boxes', { labelId: 7 }).map(record => record.id), [1]);
+    });
+});
+
+describe('importLegacyDatabase', () => {
+    it('imports a db.json once, giving records without an id a new one', async () => {
+        const legacy = file('db.json');
+        await fs.writeFile(legacy, JSON.stringify({
+            users: [{ id: 1, email: 'a@b.c' }],
+            projects: [{ id: 1, name: 'Default' }],
+            labels: [{ id: 4, name: 'ship' }, { name: 'car' }],
+            splits: [{ projectId: 1, imageKey: 'box:1', split: 'train' }, { projectId: 1, split: 'test' }],
+            tileSize: 256
+        }));
+
+        const db = openStorage(file('legacy.sqlite'));
+        await importLegacyDatabase(db, legacy);
+
+        const reopened = openStorage(file('legacy.sqlite'));
+        assert.deepEqual(reopened.data.labels, [{ id: 4, name: 'ship' }, { id: 5, name: 'car' }]);
+        assert.deepEqual(reopened.data.splits, [{ projectId: 1, imageKey: 'box:1', split: 'train' }]);
+        assert.equal(reopened.data.tileSize, 256);
+        await assert.rejects(fs.access(legacy));
+        await fs.access(`${legacy}.migrated`);
+    });
+
+    it('leaves a database that already has users alone', async () => {
+        const legacy = file('again.json');
+        await fs.writeFile(legacy, JSON.stringify({ users: [{ id: 9, email: 'x@y.z' }] }));
+
+        const db = openStorage(file('legacy.sqlite'));
+        await importLegacyDatabase(db, legacy);
+        assert.deepEqual(db.data.users, [{ id: 1, email: 'a@b.c' }]);
+        await fs.access(legacy);
+    });
+});